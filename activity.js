@@ -0,0 +1,140 @@
+/*
+ * activity.js
+ * Reads GPX and TCX activity files exported from GPS watches, entirely in the
+ * browser. The track points give the date, moving time, distance, elevation
+ * gain and average heart rate, which the tracker uses to pre-fill a run entry.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+// Slower than this (metres per second) between two points counts as stopped
+const MOVING_SPEED_MS = 0.5;
+// Gaps between points longer than this (seconds) are pauses, not moving time
+const MAX_POINT_GAP_S = 60;
+// Climbs smaller than this (metres) are treated as GPS noise
+const ELEVATION_NOISE_M = 3;
+
+// Text of the first descendant element with the given local name, ignoring namespaces
+function childText(parent, localName) {
+  const el = parent.getElementsByTagNameNS('*', localName)[0];
+  return el ? el.textContent.trim() : '';
+}
+
+// Number from a child element's text, or null when it is missing
+function childNumber(parent, localName) {
+  const text = childText(parent, localName);
+  const num = parseFloat(text);
+  return text === '' || isNaN(num) ? null : num;
+}
+
+// Distance in metres between two latitude/longitude points
+function haversineMetres(lat1, lon1, lat2, lon2) {
+  const rad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * rad;
+  const dLon = (lon2 - lon1) * rad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+// Track points of a GPX file: { time, lat, lon, ele, hr, dist: null }
+function gpxPoints(doc) {
+  return Array.from(doc.getElementsByTagNameNS('*', 'trkpt')).map((pt) => ({
+    time: Date.parse(childText(pt, 'time')) || null,
+    lat: parseFloat(pt.getAttribute('lat')),
+    lon: parseFloat(pt.getAttribute('lon')),
+    ele: childNumber(pt, 'ele'),
+    // Garmin's TrackPointExtension stores heart rate as <gpxtpx:hr>
+    hr: childNumber(pt, 'hr'),
+    dist: null,
+  }));
+}
+
+// Track points of a TCX file; they carry the watch's own cumulative distance
+function tcxPoints(doc) {
+  return Array.from(doc.getElementsByTagNameNS('*', 'Trackpoint')).map((pt) => {
+    const hrEl = pt.getElementsByTagNameNS('*', 'HeartRateBpm')[0];
+    return {
+      time: Date.parse(childText(pt, 'Time')) || null,
+      lat: childNumber(pt, 'LatitudeDegrees'),
+      lon: childNumber(pt, 'LongitudeDegrees'),
+      ele: childNumber(pt, 'AltitudeMeters'),
+      hr: hrEl ? childNumber(hrEl, 'Value') : null,
+      dist: childNumber(pt, 'DistanceMeters'),
+    };
+  });
+}
+
+// Summarise track points into distance (m), moving time (s), elevation gain (m) and average HR
+function summarisePoints(points) {
+  let distance = 0;
+  let moving = 0;
+  let gain = 0;
+  let elevationRef = null;
+  let prev = null;
+  points.forEach((pt) => {
+    if (prev) {
+      let step = 0;
+      if (pt.dist !== null && prev.dist !== null) step = Math.max(0, pt.dist - prev.dist);
+      else if ([pt.lat, pt.lon, prev.lat, prev.lon].every((v) => v !== null && !isNaN(v))) {
+        step = haversineMetres(prev.lat, prev.lon, pt.lat, pt.lon);
+      }
+      distance += step;
+      if (pt.time && prev.time) {
+        const dt = (pt.time - prev.time) / 1000;
+        if (dt > 0 && dt <= MAX_POINT_GAP_S && step / dt >= MOVING_SPEED_MS) moving += dt;
+      }
+    }
+    // Count a climb only once it clears the noise threshold
+    if (pt.ele !== null) {
+      if (elevationRef === null || pt.ele < elevationRef) elevationRef = pt.ele;
+      else if (pt.ele - elevationRef >= ELEVATION_NOISE_M) {
+        gain += pt.ele - elevationRef;
+        elevationRef = pt.ele;
+      }
+    }
+    prev = pt;
+  });
+  const heartRates = points.map((pt) => pt.hr).filter((hr) => hr !== null && hr > 0);
+  const avgHr = heartRates.length > 0 ? heartRates.reduce((sum, hr) => sum + hr, 0) / heartRates.length : null;
+  return { distance, moving, gain, avgHr };
+}
+
+// Parse the text of a GPX or TCX file. Returns { activity, error } where the
+// activity is { date, durationMin, distanceMi, elevationFt, avgHr, name }.
+function parseActivityFile(text) {
+  const doc = new DOMParser().parseFromString(String(text || ''), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    return { activity: null, error: 'This file is not valid GPX or TCX (the XML could not be read).' };
+  }
+  const root = doc.documentElement.localName;
+  let points;
+  let name;
+  if (root === 'gpx') {
+    points = gpxPoints(doc);
+    name = childText(doc.documentElement, 'name');
+  } else if (root === 'TrainingCenterDatabase') {
+    points = tcxPoints(doc);
+    const activityEl = doc.getElementsByTagNameNS('*', 'Activity')[0];
+    name = activityEl ? activityEl.getAttribute('Sport') || '' : '';
+  } else {
+    return { activity: null, error: 'This file is neither a GPX nor a TCX activity.' };
+  }
+  const timed = points.filter((pt) => pt.time);
+  if (timed.length < 2) {
+    return { activity: null, error: 'The activity has no timed track points to read.' };
+  }
+  const summary = summarisePoints(timed);
+  // Files without positions or distances (e.g. treadmill HR only) fall back to elapsed time
+  const elapsed = (timed[timed.length - 1].time - timed[0].time) / 1000;
+  const seconds = summary.distance > 0 ? summary.moving : elapsed;
+  return {
+    activity: {
+      date: toIsoDate(new Date(timed[0].time)),
+      durationMin: Math.round(seconds / 60),
+      distanceMi: summary.distance > 0 ? Math.round(unitToMiles(summary.distance / 1000, 'km') * 100) / 100 : null,
+      elevationFt: summary.gain > 0 ? Math.round(summary.gain * FEET_PER_METRE) : null,
+      avgHr: summary.avgHr !== null ? Math.round(summary.avgHr) : null,
+      name,
+    },
+    error: null,
+  };
+}
@@ -0,0 +1,192 @@
+/*
+ * backup.js
+ * Full-data backup for the planner: exports the active profile's plan, logged
+ * workouts and preferences as one versioned JSON bundle, and imports such a
+ * bundle back into the active profile.
+ * Imports are checked against the bundle schema first and can either merge
+ * into or replace what is stored for that profile.
+ *
+ * Bundle shape:
+ *   { format: 'ocr-planner-backup', version, exportedAt,
+ *     plan: plan record or null, logs: [log entry], preferences: {} }
+ */
+
+const BACKUP_FORMAT = 'ocr-planner-backup';
+const BACKUP_VERSION = 1;
+// At most this many schema problems are listed for a rejected file
+const BACKUP_MAX_ERRORS = 8;
+
+// Collect everything stored for the active profile into a backup bundle
+function createBackupBundle() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    plan: loadPlanRecord(),
+    logs: loadLogEntries(),
+    preferences: loadPreferences(),
+  };
+}
+
+// Download the backup bundle as a .json file named after the profile and date
+function downloadBackup() {
+  const profileSlug = getActiveProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const json = JSON.stringify(createBackupBundle(), null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `ocr-planner-backup-${profileSlug ? `${profileSlug}-` : ''}${toIsoDate(new Date())}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Whether a value is a YYYY-MM-DD date string
+function isIsoDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && parseIsoDate(value) !== null;
+}
+
+// Schema problems with a backup plan record, as readable messages
+function validateBackupPlan(plan) {
+  const errors = [];
+  if (!isPlainObject(plan)) return ['plan must be an object or null.'];
+  if (!Array.isArray(plan.weeks) || plan.weeks.length === 0) return ['plan.weeks must be a non-empty list of weeks.'];
+  if (plan.startDate !== undefined && !isIsoDateString(plan.startDate)) errors.push('plan.startDate must be a YYYY-MM-DD date.');
+  if (plan.raceDate !== undefined && !isIsoDateString(plan.raceDate)) errors.push('plan.raceDate must be a YYYY-MM-DD date.');
+  plan.weeks.forEach((weekObj, i) => {
+    if (!isPlainObject(weekObj)) {
+      errors.push(`plan.weeks[${i}] must be an object.`);
+    } else if (!Array.isArray(weekObj.days) || weekObj.days.length !== 7) {
+      errors.push(`plan.weeks[${i}].days must list 7 days.`);
+    } else if (weekObj.days.some((day) => typeof day !== 'string' && !(isPlainObject(day) && typeof day.type === 'string'))) {
+      errors.push(`plan.weeks[${i}].days must be sessions with a type.`);
+    }
+  });
+  return errors;
+}
+
+// Schema problems with one backup log entry, as readable messages
+function validateBackupLog(entry, i) {
+  if (!isPlainObject(entry)) return [`logs[${i}] must be an object.`];
+  const errors = [];
+  if (!isIsoDateString(entry.date)) errors.push(`logs[${i}].date must be a YYYY-MM-DD date.`);
+  if (!LOG_TYPES.includes(entry.type)) errors.push(`logs[${i}].type must be one of ${LOG_TYPES.join(', ')}.`);
+  ['durationMin', 'distanceMi', 'elevationFt', 'avgHr'].forEach((key) => {
+    const value = entry[key];
+    if (value !== undefined && value !== null && (typeof value !== 'number' || !isFinite(value) || value < 0)) {
+      errors.push(`logs[${i}].${key} must be a non-negative number or empty.`);
+    }
+  });
+  if (entry.rpe !== undefined && entry.rpe !== '' && !(Number(entry.rpe) >= 1 && Number(entry.rpe) <= 10)) {
+    errors.push(`logs[${i}].rpe must be between 1 and 10.`);
+  }
+  if (entry.id !== undefined && typeof entry.id !== 'string') errors.push(`logs[${i}].id must be text.`);
+  return errors;
+}
+
+// Schema problems with the backup preferences, as readable messages
+function validateBackupPreferences(prefs) {
+  if (!isPlainObject(prefs)) return ['preferences must be an object.'];
+  const errors = [];
+  if (prefs.distanceUnit !== undefined && !['mi', 'km'].includes(prefs.distanceUnit)) {
+    errors.push('preferences.distanceUnit must be "mi" or "km".');
+  }
+  ['volumeUnderPct', 'volumeOverPct'].forEach((key) => {
+    if (prefs[key] !== undefined && (typeof prefs[key] !== 'number' || prefs[key] < 0)) {
+      errors.push(`preferences.${key} must be a non-negative number.`);
+    }
+  });
+  // The same checks the settings on the planner page apply
+  if (errors.length === 0 && (prefs.volumeUnderPct !== undefined || prefs.volumeOverPct !== undefined)) {
+    const under = prefs.volumeUnderPct !== undefined ? prefs.volumeUnderPct : DEFAULT_PREFERENCES.volumeUnderPct;
+    const over = prefs.volumeOverPct !== undefined ? prefs.volumeOverPct : DEFAULT_PREFERENCES.volumeOverPct;
+    const error = validateVolumeThresholds(under, over);
+    if (error) errors.push(`preferences: ${error}`);
+  }
+  validateCalendarPreferences(prefs).forEach((error) => errors.push(`preferences: ${error}`));
+  return errors;
+}
+
+// Parse and check the text of a backup file. Returns the bundle, with log
+// entries brought up to the current shape, or a list of errors.
+function parseBackupBundle(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { bundle: null, errors: ['This file is not valid JSON. Choose a backup exported from OCR Planner.'] };
+  }
+  if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+    return { bundle: null, errors: ['This file is not an OCR Planner backup.'] };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { bundle: null, errors: ['The backup has no valid version number.'] };
+  }
+  if (data.version > BACKUP_VERSION) {
+    return { bundle: null, errors: [`The backup was made by a newer version of OCR Planner (format ${data.version}). Update the app and try again.`] };
+  }
+  let errors = [];
+  if (data.plan !== null && data.plan !== undefined) errors = errors.concat(validateBackupPlan(data.plan));
+  if (!Array.isArray(data.logs)) {
+    errors.push('logs must be a list of logged workouts.');
+  } else {
+    // Older entries (free-text values, no ids) are upgraded before checking
+    data.logs.forEach((entry) => {
+      if (isPlainObject(entry)) migrateLogEntry(entry);
+    });
+    data.logs.forEach((entry, i) => {
+      errors = errors.concat(validateBackupLog(entry, i));
+    });
+  }
+  if (data.preferences !== undefined) errors = errors.concat(validateBackupPreferences(data.preferences));
+  if (errors.length > BACKUP_MAX_ERRORS) {
+    const more = errors.length - BACKUP_MAX_ERRORS;
+    errors = errors.slice(0, BACKUP_MAX_ERRORS).concat(`…and ${more} more problem${more === 1 ? '' : 's'}.`);
+  }
+  if (errors.length > 0) return { bundle: null, errors };
+  return {
+    bundle: { ...data, plan: data.plan || null, preferences: data.preferences || {} },
+    errors: [],
+  };
+}
+
+// Store a checked backup bundle. 'replace' swaps the stored plan, logs and
+// preferences for the bundle's; 'merge' adds the bundle's logs to the stored
+// ones, and only uses its plan and preferences where none are stored yet.
+// Duplicate log entries are skipped either way. Returns a summary of what changed.
+function importBackupBundle(bundle, mode) {
+  const summary = { mode, planImported: false, added: 0, duplicates: 0 };
+  if (bundle.plan) migratePlanRecord(bundle.plan);
+  if (mode === 'replace') {
+    if (bundle.plan) {
+      savePlanRecord(bundle.plan);
+      summary.planImported = true;
+    } else {
+      removePlanRecord();
+    }
+    const merged = mergeLogEntries([], bundle.logs);
+    saveLogEntries(merged.logs);
+    summary.added = merged.added;
+    summary.duplicates = merged.duplicates;
+    savePreferences({ ...DEFAULT_PREFERENCES, ...bundle.preferences });
+    return summary;
+  }
+  if (bundle.plan && !loadPlanRecord()) {
+    savePlanRecord(bundle.plan);
+    summary.planImported = true;
+  }
+  const merged = mergeLogEntries(loadLogEntries(), bundle.logs);
+  saveLogEntries(merged.logs);
+  summary.added = merged.added;
+  summary.duplicates = merged.duplicates;
+  let storedPrefs = {};
+  try {
+    storedPrefs = JSON.parse(localStorage.getItem(profileKey(PREFS_STORAGE_KEY)) || '{}');
+  } catch (e) {
+    storedPrefs = {};
+  }
+  savePreferences({ ...bundle.preferences, ...storedPrefs });
+  return summary;
+}
@@ -0,0 +1,258 @@
+/*
+ * csv.js
+ * CSV import and export of logged workouts for the tracker.
+ * Parsing follows RFC 4180 (quoted fields, doubled quotes, line breaks inside
+ * quotes) and accepts comma, semicolon or tab separated files. Columns from
+ * other apps are mapped onto log fields, then each row is converted into a
+ * regular log entry or a list of row-level errors.
+ */
+
+// Log fields a CSV column can be mapped to, with header names that suggest them
+const CSV_FIELDS = [
+  { key: 'date', label: 'Date', required: true, hints: ['date', 'day', 'start time', 'activity date'] },
+  { key: 'type', label: 'Type', required: true, hints: ['type', 'activity type', 'sport', 'activity', 'workout'] },
+  { key: 'duration', label: 'Duration', hints: ['duration', 'moving time', 'elapsed time', 'time', 'minutes'] },
+  { key: 'distance', label: 'Distance', hints: ['distance', 'dist', 'km', 'miles'] },
+  { key: 'elevation', label: 'Elevation gain', hints: ['elevation', 'elev', 'ascent', 'climb'] },
+  { key: 'avgHr', label: 'Average heart rate', hints: ['avg hr', 'average heart rate', 'avg heart rate', 'average hr', 'heart rate'] },
+  { key: 'rpe', label: 'RPE', hints: ['rpe', 'effort', 'perceived exertion', 'intensity'] },
+  { key: 'notes', label: 'Notes', hints: ['notes', 'note', 'description', 'comment', 'comments', 'name'] },
+];
+
+// Words in a workout type column that identify each log type
+const CSV_TYPE_WORDS = {
+  run: ['run', 'jog', 'trail'],
+  strength: ['strength', 'weight', 'gym', 'lift', 'crossfit', 'resistance'],
+  rest: ['rest', 'off'],
+};
+
+// Split CSV text into rows of fields. The separator is whichever of comma,
+// semicolon or tab appears most often in the first line.
+function parseCsv(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/)[0] || '';
+  const separator = [',', ';', '\t'].reduce((best, sep) =>
+    firstLine.split(sep).length > firstLine.split(best).length ? sep : best
+  );
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines carry no data
+  return rows.filter((r) => r.some((value) => value.trim() !== ''));
+}
+
+// Quote a value for CSV output when it contains a separator, quote or line break
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Join rows of values into CSV text
+function toCsv(rows) {
+  return rows.map((row) => row.map(csvField).join(',')).join('\r\n');
+}
+
+// Guess which column holds each field from the header names. Returns
+// { field key: column index or -1 } plus the distance unit named in a header
+// and the unit of bare duration numbers: Strava-style "moving time" and
+// "elapsed time" columns count seconds.
+function guessCsvMapping(headers) {
+  const names = headers.map((h) => String(h).trim().toLowerCase());
+  const mapping = {};
+  const used = new Set();
+  CSV_FIELDS.forEach((field) => {
+    let index = -1;
+    // Exact header names win over partial matches
+    field.hints.some((hint) => {
+      index = names.findIndex((name, i) => !used.has(i) && name.replace(/\s*\(.*\)$/, '') === hint);
+      return index > -1;
+    });
+    if (index === -1) {
+      field.hints.some((hint) => {
+        index = names.findIndex((name, i) => !used.has(i) && name.includes(hint));
+        return index > -1;
+      });
+    }
+    if (index > -1) used.add(index);
+    mapping[field.key] = index;
+  });
+  let distanceUnit = null;
+  if (mapping.distance > -1) {
+    const header = names[mapping.distance];
+    if (/\bkm\b|kilomet/.test(header)) distanceUnit = 'km';
+    else if (/\bmi\b|mile/.test(header)) distanceUnit = 'mi';
+    else if (/\(m\)|\bmet(er|re)s?\b/.test(header)) distanceUnit = 'm';
+  }
+  let durationUnit = null;
+  if (mapping.duration > -1) {
+    const header = names[mapping.duration];
+    // A unit in the header wins over the column name
+    if (/\bmin(ute)?s?\b/.test(header)) durationUnit = 'min';
+    else if (/moving time|elapsed time|\(s\)|\bsec(ond)?s?\b/.test(header)) durationUnit = 's';
+  }
+  return { mapping, distanceUnit, durationUnit };
+}
+
+// Read a date in the given order ('ymd', 'dmy' or 'mdy'). Times after the
+// date, as in "2024-05-01 07:30:00" or ISO timestamps, are ignored.
+function parseCsvDate(text, order) {
+  const value = String(text || '').trim();
+  let match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  let y;
+  let m;
+  let d;
+  if (match) {
+    [y, m, d] = [match[1], match[2], match[3]];
+  } else {
+    match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:[T\s].*)?$/);
+    if (!match) return null;
+    [d, m] = order === 'mdy' ? [match[2], match[1]] : [match[1], match[2]];
+    y = match[3].length === 2 ? `20${match[3]}` : match[3];
+  }
+  const date = new Date(parseInt(y, 10), parseInt(m, 10) - 1, parseInt(d, 10));
+  // Reject dates that roll over, such as 31 February
+  if (date.getMonth() !== parseInt(m, 10) - 1 || date.getDate() !== parseInt(d, 10)) return null;
+  return toIsoDate(date);
+}
+
+// Map a workout type from another app onto a log type; anything unknown is "other"
+function parseCsvType(text) {
+  const value = String(text || '').trim().toLowerCase();
+  if (LOG_TYPES.includes(value)) return value;
+  const type = Object.keys(CSV_TYPE_WORDS).find((key) => CSV_TYPE_WORDS[key].some((word) => value.includes(word)));
+  return type || 'other';
+}
+
+// Minutes from a duration cell: a bare number in the given unit ('min' or 's'),
+// h:mm:ss, mm:ss or "1h 5min"
+function parseCsvDuration(text, unit) {
+  const value = String(text || '').trim();
+  if (/^\d+(\.\d+)?$/.test(value)) return Math.round(parseFloat(value) / (unit === 's' ? 60 : 1));
+  return parseLegacyLogValue(value).durationMin;
+}
+
+// Convert one CSV row into a log entry using the column mapping. Distances are
+// read in options.distanceUnit ('mi', 'km' or 'm'); elevation is in feet for
+// miles and metres otherwise. Bare duration numbers are read in
+// options.durationUnit ('min' or 's'). Returns { entry, errors }.
+function csvRowToLogEntry(row, mapping, options) {
+  const errors = [];
+  const cell = (key) => (mapping[key] > -1 ? String(row[mapping[key]] || '').trim() : '');
+  const entry = {
+    id: createLogId(),
+    date: null,
+    type: null,
+    durationMin: null,
+    distanceMi: null,
+    elevationFt: null,
+    avgHr: null,
+    rpe: '',
+    notes: cell('notes'),
+  };
+  const dateText = cell('date');
+  entry.date = parseCsvDate(dateText, options.dateOrder);
+  if (!dateText) errors.push('date is missing');
+  else if (!entry.date) errors.push(`"${dateText}" is not a valid date`);
+  const typeText = cell('type');
+  if (!typeText) errors.push('workout type is missing');
+  else entry.type = parseCsvType(typeText);
+  const durationText = cell('duration');
+  if (durationText) {
+    entry.durationMin = parseCsvDuration(durationText, options.durationUnit);
+    if (entry.durationMin === null) errors.push(`"${durationText}" is not a duration`);
+  }
+  const distanceText = cell('distance');
+  if (distanceText) {
+    const number = parseFloat(distanceText.replace(',', '.'));
+    if (/^\d+([.,]\d+)?$/.test(distanceText)) {
+      const miles = options.distanceUnit === 'm' ? unitToMiles(number / 1000, 'km') : unitToMiles(number, options.distanceUnit);
+      entry.distanceMi = Math.round(miles * 100) / 100;
+    } else {
+      entry.distanceMi = parseLegacyLogValue(distanceText).distanceMi;
+      if (entry.distanceMi === null) errors.push(`"${distanceText}" is not a distance`);
+    }
+  }
+  const elevationText = cell('elevation');
+  if (elevationText) {
+    const number = parseFloat(elevationText.replace(',', '.'));
+    if (isNaN(number) || number < 0) errors.push(`"${elevationText}" is not an elevation`);
+    else entry.elevationFt = Math.round(options.distanceUnit === 'mi' ? number : unitToFeet(number, 'km'));
+  }
+  const heartRateText = cell('avgHr');
+  if (heartRateText) {
+    const heartRate = parseFloat(heartRateText.replace(',', '.'));
+    if (isNaN(heartRate) || heartRate <= 0) errors.push(`"${heartRateText}" is not a heart rate`);
+    else entry.avgHr = Math.round(heartRate);
+  }
+  const rpeText = cell('rpe');
+  if (rpeText) {
+    const rpe = Number(rpeText);
+    if (!(rpe >= 1 && rpe <= 10)) errors.push(`RPE "${rpeText}" is not between 1 and 10`);
+    else entry.rpe = String(Math.round(rpe));
+  }
+  return { entry, errors };
+}
+
+// CSV text of logged workouts, newest first, in the given distance unit
+function logsToCsv(logs, unit) {
+  const header = ['Date', 'Type', 'Duration (min)', `Distance (${unit})`, `Elevation gain (${elevationUnit(unit)})`, 'Avg HR (bpm)', 'RPE', 'Notes'];
+  const rows = logs
+    .slice()
+    .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0))
+    .map((entry) => [
+      entry.date,
+      entry.type,
+      typeof entry.durationMin === 'number' ? entry.durationMin : '',
+      typeof entry.distanceMi === 'number' ? Math.round(milesToUnit(entry.distanceMi, unit) * 100) / 100 : '',
+      typeof entry.elevationFt === 'number' ? Math.round(feetToUnit(entry.elevationFt, unit)) : '',
+      typeof entry.avgHr === 'number' ? entry.avgHr : '',
+      entry.rpe || '',
+      entry.notes || '',
+    ]);
+  return toCsv([header].concat(rows));
+}
+
+// Download all logged workouts as a dated .csv file in the preferred unit
+function downloadLogsCsv() {
+  const csv = logsToCsv(loadLogEntries(), getDistanceUnit());
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `ocr-workouts-${toIsoDate(new Date())}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
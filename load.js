@@ -0,0 +1,96 @@
+/*
+ * load.js
+ * Training load model shared by the planner, tracker and review pages.
+ * Session load is RPE × duration in minutes (session-RPE). From the daily
+ * totals we derive the rolling 7-day acute load, the 28-day chronic load
+ * (expressed per week so the two are comparable), their ratio (ACWR),
+ * and Foster's monotony and strain for the last 7 days.
+ */
+
+// Pace used to estimate the duration of runs logged with a distance only
+const LOAD_FALLBACK_PACE_MIN_PER_MILE = 10;
+// Acute:chronic ratio bands commonly used to spot load spikes
+const ACWR_LOW = 0.8;
+const ACWR_HIGH = 1.3;
+const ACWR_DANGER = 1.5;
+// Monotony above this means training days are too alike to recover from
+const MONOTONY_HIGH = 2;
+
+// Load of a single logged session, or null when RPE or duration is missing
+function sessionLoad(entry) {
+  const rpe = parseFloat(entry.rpe);
+  let minutes = typeof entry.durationMin === 'number' ? entry.durationMin : null;
+  if (minutes === null && typeof entry.distanceMi === 'number') {
+    minutes = entry.distanceMi * LOAD_FALLBACK_PACE_MIN_PER_MILE;
+  }
+  if (isNaN(rpe) || minutes === null) return null;
+  return rpe * minutes;
+}
+
+// Total session load per ISO date
+function dailyLoads(logs) {
+  const loads = {};
+  logs.forEach((entry) => {
+    const load = sessionLoad(entry);
+    if (!entry.date || load === null) return;
+    loads[entry.date] = (loads[entry.date] || 0) + load;
+  });
+  return loads;
+}
+
+// Daily loads for the `days` days ending on (and including) dateObj
+function loadWindow(loads, dateObj, days) {
+  const values = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const d = new Date(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate() - i);
+    values.push(loads[toIsoDate(d)] || 0);
+  }
+  return values;
+}
+
+// Acute/chronic load, ratio, monotony and strain as of the given date
+function loadMetricsOn(loads, dateObj) {
+  const week = loadWindow(loads, dateObj, 7);
+  const month = loadWindow(loads, dateObj, 28);
+  const acute = week.reduce((sum, v) => sum + v, 0);
+  const chronic = month.reduce((sum, v) => sum + v, 0) / 4;
+  // The ratio needs some history; without load in the older half of the
+  // 28-day window every new athlete would look like a spike
+  const hasHistory = month.slice(0, 14).some((v) => v > 0);
+  const mean = acute / 7;
+  const sd = Math.sqrt(week.reduce((sum, v) => sum + (v - mean) ** 2, 0) / 7);
+  const monotony = sd > 0 ? mean / sd : null;
+  return {
+    acute,
+    chronic,
+    acwr: hasHistory && chronic > 0 ? acute / chronic : null,
+    monotony,
+    strain: monotony !== null ? acute * monotony : null,
+  };
+}
+
+// Load metrics for today (or the given date) from a list of log entries
+function computeLoadMetrics(logs, dateObj) {
+  return loadMetricsOn(dailyLoads(logs), dateObj || new Date());
+}
+
+// Daily series of load and metrics for charting, oldest first
+function loadSeries(logs, days, endDate) {
+  const loads = dailyLoads(logs);
+  const end = endDate || new Date();
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const d = new Date(end.getFullYear(), end.getMonth(), end.getDate() - i);
+    series.push({ date: toIsoDate(d), load: loads[toIsoDate(d)] || 0, ...loadMetricsOn(loads, d) });
+  }
+  return series;
+}
+
+// Classify the acute:chronic ratio
+function acwrZone(acwr) {
+  if (acwr === null) return 'unknown';
+  if (acwr > ACWR_DANGER) return 'danger';
+  if (acwr > ACWR_HIGH) return 'caution';
+  if (acwr < ACWR_LOW) return 'low';
+  return 'optimal';
+}
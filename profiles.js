@@ -0,0 +1,118 @@
+/*
+ * profiles.js
+ * Athlete profile switcher for the navigation bar, so several athletes can
+ * share one browser. Each profile has its own plan, logs and preferences
+ * (see storage.js); switching, creating or deleting a profile reloads the
+ * page so everything on it shows the chosen athlete's data.
+ */
+
+// Value of the switcher option that starts a new profile
+const NEW_PROFILE_OPTION = '__new';
+
+// Fill the switcher container with the profile menu and its actions
+function renderProfileSwitcher(container) {
+  const list = loadProfiles();
+  const options = list.profiles
+    .map(
+      (profile) =>
+        `<option value="${escapeHtml(profile.id)}"${profile.id === list.activeId ? ' selected' : ''}>${escapeHtml(profile.name)}</option>`
+    )
+    .join('');
+  container.innerHTML = `
+    <select class="profile-select" aria-label="Athlete profile">
+      ${options}
+      <option value="${NEW_PROFILE_OPTION}">+ New profile…</option>
+    </select>
+    <button type="button" class="profile-action profile-rename">Rename</button>
+    <button type="button" class="profile-action profile-delete"${list.profiles.length <= 1 ? ' disabled title="The only profile cannot be deleted"' : ''}>Delete</button>
+    <form class="profile-name-form" hidden>
+      <input type="text" class="profile-name-input" maxlength="${PROFILE_NAME_MAX_LENGTH}" aria-label="Profile name" />
+      <button type="submit" class="profile-action">Save</button>
+      <button type="button" class="profile-action profile-cancel">Cancel</button>
+    </form>
+    <span class="profile-error" role="alert"></span>`;
+  const select = container.querySelector('.profile-select');
+  const nameForm = container.querySelector('.profile-name-form');
+  const nameInput = container.querySelector('.profile-name-input');
+  const errorText = container.querySelector('.profile-error');
+  // Profile being renamed, or null while creating a new one
+  let renamingId = null;
+
+  // Show the name form for a new profile or for renaming the active one
+  function openNameForm(profile) {
+    renamingId = profile ? profile.id : null;
+    nameInput.value = profile ? profile.name : '';
+    nameInput.placeholder = profile ? '' : 'Athlete name';
+    errorText.textContent = '';
+    nameForm.hidden = false;
+    nameInput.focus();
+  }
+
+  function closeNameForm() {
+    nameForm.hidden = true;
+    errorText.textContent = '';
+    select.value = loadProfiles().activeId;
+  }
+
+  select.addEventListener('change', () => {
+    if (select.value === NEW_PROFILE_OPTION) {
+      openNameForm(null);
+      return;
+    }
+    setActiveProfile(select.value);
+    window.location.reload();
+  });
+  container.querySelector('.profile-rename').addEventListener('click', () => openNameForm(getActiveProfile()));
+  container.querySelector('.profile-cancel').addEventListener('click', closeNameForm);
+  nameForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (renamingId) {
+      const error = renameProfile(renamingId, nameInput.value);
+      if (error) {
+        errorText.textContent = error;
+        return;
+      }
+      renderProfileSwitcher(container);
+      return;
+    }
+    const { error } = createProfile(nameInput.value);
+    if (error) {
+      errorText.textContent = error;
+      return;
+    }
+    window.location.reload();
+  });
+  container.querySelector('.profile-delete').addEventListener('click', () => {
+    const profile = getActiveProfile();
+    if (
+      !window.confirm(
+        `Delete the profile “${profile.name}” with its training plan, logged workouts and settings? This cannot be undone.`
+      )
+    ) {
+      return;
+    }
+    const error = deleteProfile(profile.id);
+    if (error) {
+      errorText.textContent = error;
+      return;
+    }
+    window.location.reload();
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const container = document.getElementById('profileSwitcher');
+  if (!container) return;
+  renderProfileSwitcher(container);
+  const activeId = loadProfiles().activeId;
+  // Keep open tabs on the same athlete: follow a switch made in another tab,
+  // and refresh the menu when profiles are added or renamed there
+  window.addEventListener('storage', (event) => {
+    if (event.key !== PROFILES_STORAGE_KEY) return;
+    if (loadProfiles().activeId !== activeId) {
+      window.location.reload();
+      return;
+    }
+    renderProfileSwitcher(container);
+  });
+});
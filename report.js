@@ -0,0 +1,134 @@
+/*
+ * report.js
+ * Printable report of the training plan for athletes who train without a phone.
+ * Each week is its own block listing the phase, distance and the session of
+ * every day with a box to tick, followed by the review summary and
+ * recommendations. Layout for paper lives in print.css.
+ */
+
+// Short date for the report, e.g. "Mon 19 Oct", with the year when asked
+function formatReportDate(date, withYear) {
+  const options = { weekday: 'short', day: 'numeric', month: 'short' };
+  if (withYear) options.year = 'numeric';
+  return date.toLocaleDateString(undefined, options);
+}
+
+// Distance, duration and RPE targets of a session as text, or '' for none
+function reportSessionTarget(session, unit) {
+  const parts = [];
+  if (session.targetDistance) parts.push(formatDistance(session.targetDistance, unit));
+  if (session.targetDurationMin > 0) parts.push(`~${session.targetDurationMin} min`);
+  if (session.targetRpe && session.targetRpe[1] > 0) parts.push(`RPE ${session.targetRpe.join('–')}`);
+  return parts.join(' · ');
+}
+
+// Completion mark of a planned day: ticked when logged, crossed when missed,
+// and an empty box to tick by hand for days still to come
+function reportCompletionMark(session, matched, isoDate, todayIso) {
+  if (session.type === 'rest') return { mark: '–', label: 'Rest day', className: 'mark-rest' };
+  if (matched.length > 0) return { mark: '✔', label: 'Completed', className: 'mark-done' };
+  if (session.movedTo || session.dropped || isoDate < todayIso) return { mark: '✘', label: 'Missed', className: 'mark-missed' };
+  return { mark: '☐', label: 'To do', className: 'mark-todo' };
+}
+
+// HTML block for one plan week
+function reportWeekHtml(weekObj, wIndex, startDate, logsByDate, unit, todayIso) {
+  const first = planDayDate(startDate, wIndex, 0);
+  const last = planDayDate(startDate, wIndex, 6);
+  let tags = '';
+  if (weekObj.deload) tags += ' <span class="deload-tag">Recovery</span>';
+  if (weekObj.postRace) tags += ' <span class="deload-tag">Post-race recovery</span>';
+  (weekObj.races || []).forEach((race) => {
+    tags += ` <span class="race-tag race-${race.priority}">${race.priority} race</span>`;
+  });
+  let loggedMiles = 0;
+  let rows = '';
+  weekObj.days.forEach((session, dIndex) => {
+    const date = planDayDate(startDate, wIndex, dIndex);
+    const isoDate = toIsoDate(date);
+    const dayLogs = logsByDate[isoDate] || [];
+    dayLogs.forEach((entry) => {
+      if (entry.type === 'run' && typeof entry.distanceMi === 'number') loggedMiles += entry.distanceMi;
+    });
+    const matched = matchingLogs(dayLogs, session);
+    const completion = reportCompletionMark(session, matched, isoDate, todayIso);
+    let detail = escapeHtml(session.description);
+    if (session.rescheduleNote) detail += ` <span class="session-note">${escapeHtml(session.rescheduleNote)}</span>`;
+    rows += `<tr class="report-day session-${session.type}">
+      <td class="report-date">${formatReportDate(date)}</td>
+      <td><strong>${escapeHtml(session.title)}</strong><span class="report-detail">${detail}</span></td>
+      <td class="report-target">${reportSessionTarget(session, unit)}</td>
+      <td class="report-mark ${completion.className}" title="${completion.label}">${completion.mark}</td>
+    </tr>`;
+  });
+  const plannedMiles = parseFloat(weekObj.mileage);
+  let distanceText = `Planned run distance: <strong>${formatDistance(plannedMiles, unit)}</strong>`;
+  if (toIsoDate(first) <= todayIso) {
+    distanceText += ` &nbsp;|&nbsp; Logged: <strong>${formatDistance(loggedMiles, unit)}</strong>`;
+  } else {
+    distanceText += ' &nbsp;|&nbsp; Logged: ____________';
+  }
+  let html = `<section class="report-week${weekObj.deload || weekObj.postRace ? ' deload-week' : ''}">`;
+  html += `<h3>Week ${weekObj.week} · ${weekObj.phase}${tags} <span class="report-dates">${formatReportDate(first)} – ${formatReportDate(last)}</span></h3>`;
+  html += `<p class="report-week-meta">${distanceText}</p>`;
+  html += `<table class="report-days"><thead><tr><th>Day</th><th>Session</th><th>Target</th><th>Done</th></tr></thead><tbody>${rows}</tbody></table>`;
+  if (weekObj.adjustments && weekObj.adjustments.length > 0) {
+    html += `<ul class="week-adjustments">${weekObj.adjustments.map((text) => `<li>${escapeHtml(text)}</li>`).join('')}</ul>`;
+  }
+  html += '</section>';
+  return html;
+}
+
+// Build the whole report: title block, weekly plan, then the review
+function renderReport(container, basePlan, logs, today) {
+  // Show the plan as the planner does, adapted to the logs and with missed sessions moved
+  const plan = JSON.parse(JSON.stringify(basePlan));
+  adaptPlan(plan, logs, today);
+  rescheduleMissedSessions(plan, today, logs);
+  const unit = getDistanceUnit();
+  const startDate = getPlanStartDate(plan);
+  const logsByDate = groupLogsByDate(logs);
+  const todayIso = toIsoDate(today);
+  const raceName = (plan.inputs && plan.inputs.raceName) || 'Goal race';
+  let html = '<header class="report-header">';
+  html += `<h1>${escapeHtml(raceName)} training plan</h1>`;
+  // Name the athlete when several share this browser, so printouts don't get mixed up
+  if (loadProfiles().profiles.length > 1) {
+    html += `<p>Athlete: <strong>${escapeHtml(getActiveProfile().name)}</strong></p>`;
+  }
+  const raceDate = parseIsoDate(plan.raceDate);
+  html += `<p>Race day: <strong>${raceDate ? formatReportDate(raceDate, true) : '–'}</strong>`;
+  html += ` &nbsp;|&nbsp; ${plan.weeks.length} weeks from ${formatReportDate(startDate, true)}`;
+  html += ` &nbsp;|&nbsp; Printed ${formatReportDate(today, true)}</p>`;
+  if (plan.races && plan.races.length > 1) {
+    html += `<p>Races: ${plan.races.map((race) => `${escapeHtml(race.name)} <span class="race-tag race-${race.priority}">${race.priority}</span> ${race.date}`).join(' &nbsp;·&nbsp; ')}</p>`;
+  }
+  html += `<p class="report-key">✔ completed &nbsp; ✘ missed &nbsp; ☐ to do</p>`;
+  html += '</header>';
+  html += '<section class="report-plan"><h2>Weekly plan</h2>';
+  plan.weeks.forEach((weekObj, wIndex) => {
+    html += reportWeekHtml(weekObj, wIndex, startDate, logsByDate, unit, todayIso);
+  });
+  html += '</section>';
+  html += '<section class="report-review">';
+  html += reviewHtml(basePlan, logs, today);
+  html += '</section>';
+  container.innerHTML = html;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const container = document.getElementById('reportContent');
+  const printBtn = document.getElementById('printReportBtn');
+  if (!container) return;
+  const basePlan = loadPlanRecord();
+  if (!basePlan) {
+    container.innerHTML =
+      '<p>Please generate a training plan first in the Plan Generator tab, then come back here to print it.</p>';
+    if (printBtn) printBtn.hidden = true;
+    return;
+  }
+  renderReport(container, basePlan, loadLogEntries(), new Date());
+  if (printBtn) {
+    printBtn.addEventListener('click', () => window.print());
+  }
+});
@@ -2,134 +2,380 @@
  * review.js
  * Generates a simple expert review based on the user's base plan and logged workouts.
  * It analyzes adherence and intensity trends and produces personalised feedback.
+ * Metrics are collected per plan week and charted as inline SVG; the
+ * recommendations follow the most recent weeks rather than the whole plan.
  */
 
-document.addEventListener('DOMContentLoaded', () => {
-  const container = document.getElementById('reviewResults');
-  // Clear container
-  container.innerHTML = '';
-  // Retrieve base plan from localStorage
-  let basePlan = null;
-  try {
-    basePlan = JSON.parse(localStorage.getItem('ocrBasePlan') || 'null');
-  } catch (e) {
-    basePlan = null;
-  }
-  if (!basePlan || !basePlan.weeks) {
-    container.innerHTML =
-      '<p>Please generate a training plan first in the Plan Generator tab. Once a plan is available, return here for your review.</p>';
-    return;
-  }
-  // Load logs
-  let logs = [];
-  try {
-    logs = JSON.parse(localStorage.getItem('ocrLogs') || '[]');
-  } catch (e) {
-    logs = [];
-  }
-  // Create a map of logs by ISO date
-  const logMap = {};
-  logs.forEach((entry) => {
-    if (entry.date) {
-      logMap[entry.date] = entry;
-    }
-  });
-  // Determine plan start date (upcoming Monday when plan was generated)
-  const today = new Date();
-  const startDate = new Date(today);
-  const dow = startDate.getDay();
-  let diffToMon;
-  if (dow === 1) {
-    diffToMon = 0;
-  } else if (dow === 0) {
-    diffToMon = 1;
-  } else {
-    diffToMon = 8 - dow;
-  }
-  startDate.setDate(startDate.getDate() + diffToMon);
-  // Helper to convert date to ISO hyphenated format
-  function toIso(dateObj) {
-    const y = dateObj.getFullYear();
-    const m = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const d = String(dateObj.getDate()).padStart(2, '0');
-    return `${y}-${m}-${d}`;
-  }
-  // Compute metrics
-  const endDate = new Date(startDate);
-  endDate.setDate(startDate.getDate() + basePlan.weeks.length * 7);
-  let totalDays = 0;
-  let completedDays = 0;
-  let totalRPE = 0;
-  let rpeCount = 0;
-  // Count workout types
-  const typeCounts = { run: 0, strength: 0, other: 0, rest: 0 };
-  // Iterate day by day up to either today or plan end date
-  for (let d = new Date(startDate); d <= today && d < endDate; d.setDate(d.getDate() + 1)) {
-    totalDays++;
-    const iso = toIso(d);
-    if (logMap[iso]) {
-      completedDays++;
-      const entry = logMap[iso];
-      // Count type
-      const type = (entry.type || '').toLowerCase();
-      if (typeCounts.hasOwnProperty(type)) {
-        typeCounts[type]++;
-      } else {
-        typeCounts.other++;
+// Number of recent plan weeks the recommendations are based on
+const REVIEW_TREND_WEEKS = 3;
+// Adherence that counts as consistent, marked on the adherence chart
+const ADHERENCE_GOOD = 0.8;
+// Colours of the logged workout types in the session mix chart
+const MIX_COLOURS = { run: '#004e8a', strength: '#00a896', other: '#f0a500', rest: '#bbbbbb' };
+
+// Empty per-type counters for logged workouts
+function emptyTypeCounts() {
+  return { run: 0, strength: 0, other: 0, rest: 0 };
+}
+
+// Metrics for each plan week that has started, up to today: planned and
+// completed sessions, adherence, average RPE, planned and logged run miles
+// and the mix of logged workout types. The current week only counts the days so far.
+function reviewWeekSeries(plan, logs, today) {
+  const logsByDate = groupLogsByDate(logs);
+  const startDate = getPlanStartDate(plan);
+  const series = [];
+  plan.weeks.forEach((weekObj, wIndex) => {
+    if (planDayDate(startDate, wIndex, 0) > today) return;
+    const week = {
+      week: weekObj.week,
+      phase: weekObj.phase,
+      days: 0,
+      planned: 0,
+      completed: 0,
+      totalRpe: 0,
+      rpeCount: 0,
+      plannedMiles: 0,
+      loggedMiles: 0,
+      mix: emptyTypeCounts(),
+    };
+    weekObj.days.forEach((session, dIndex) => {
+      const date = planDayDate(startDate, wIndex, dIndex);
+      if (date > today) return;
+      week.days++;
+      const dayLogs = logsByDate[toIsoDate(date)] || [];
+      // Adherence counts planned training sessions completed by a log of the same type
+      if (session.type !== 'rest') {
+        week.planned++;
+        if (matchingLogs(dayLogs, session).length > 0) week.completed++;
       }
-      const rpeNum = parseFloat(entry.rpe);
-      if (!isNaN(rpeNum)) {
-        totalRPE += rpeNum;
-        rpeCount++;
+      if (session.type === 'run' && session.targetDistance) {
+        week.plannedMiles += session.targetDistance;
       }
-    }
+      dayLogs.forEach((entry) => {
+        const type = (entry.type || '').toLowerCase();
+        if (week.mix.hasOwnProperty(type)) {
+          week.mix[type]++;
+        } else {
+          week.mix.other++;
+        }
+        if (type === 'run' && typeof entry.distanceMi === 'number') {
+          week.loggedMiles += entry.distanceMi;
+        }
+        const rpeNum = parseFloat(entry.rpe);
+        if (!isNaN(rpeNum)) {
+          week.totalRpe += rpeNum;
+          week.rpeCount++;
+        }
+      });
+    });
+    week.adherence = week.planned > 0 ? week.completed / week.planned : null;
+    week.avgRpe = week.rpeCount > 0 ? week.totalRpe / week.rpeCount : null;
+    week.volumePct = week.plannedMiles > 0 ? (week.loggedMiles / week.plannedMiles) * 100 : null;
+    series.push(week);
+  });
+  return series;
+}
+
+// Combine a run of weekly metrics into totals and ratios for that period
+function summariseWeeks(weeks) {
+  const total = { weeks: weeks.length, days: 0, planned: 0, completed: 0, totalRpe: 0, rpeCount: 0, plannedMiles: 0, loggedMiles: 0, mix: emptyTypeCounts() };
+  weeks.forEach((week) => {
+    ['days', 'planned', 'completed', 'totalRpe', 'rpeCount', 'plannedMiles', 'loggedMiles'].forEach((key) => {
+      total[key] += week[key];
+    });
+    Object.keys(total.mix).forEach((type) => {
+      total.mix[type] += week.mix[type];
+    });
+  });
+  total.adherence = total.planned > 0 ? total.completed / total.planned : null;
+  total.avgRpe = total.rpeCount > 0 ? total.totalRpe / total.rpeCount : null;
+  total.volumePct = total.plannedMiles > 0 ? (total.loggedMiles / total.plannedMiles) * 100 : null;
+  return total;
+}
+
+// Metrics for the last REVIEW_TREND_WEEKS weeks and, for comparison, the weeks before
+function recentTrend(series) {
+  // A current week only a day or two old says little on its own, so it
+  // extends the window instead of replacing a finished week
+  const count = series.length > 0 && series[series.length - 1].days < 3 ? REVIEW_TREND_WEEKS + 1 : REVIEW_TREND_WEEKS;
+  const recent = summariseWeeks(series.slice(-count));
+  const earlier = series.length > count ? summariseWeeks(series.slice(0, -count)) : null;
+  return { recent, earlier };
+}
+
+// Metrics the review rules are evaluated against (see rules.js). Ratios are
+// percentages rounded to whole numbers; unknown values are null.
+function reviewMetrics(trend, load, prefs, plan) {
+  const pct = (ratio) => (ratio === null ? null : Math.round(ratio * 100));
+  const strengthFrequency = parseInt(plan && plan.inputs && plan.inputs.strengthFrequency, 10);
+  const { recent, earlier } = trend;
+  return {
+    recentWeeks: recent.weeks,
+    recentAdherencePct: pct(recent.adherence),
+    earlierAdherencePct: earlier ? pct(earlier.adherence) : null,
+    recentRpe: recent.avgRpe,
+    recentVolumePct: recent.volumePct === null ? null : Math.round(recent.volumePct),
+    volumeUnderPct: prefs.volumeUnderPct,
+    volumeOverPct: prefs.volumeOverPct,
+    acwr: load.acwr === null ? null : Math.round(load.acwr * 100) / 100,
+    acwrZone: acwrZone(load.acwr),
+    monotony: load.monotony,
+    monotonyHigh: MONOTONY_HIGH,
+    recentRuns: recent.mix.run,
+    recentStrength: recent.mix.strength,
+    recentOther: recent.mix.other,
+    recentRunStrength: recent.mix.run + recent.mix.strength,
+    plannedStrengthPerWeek: isNaN(strengthFrequency) ? null : strengthFrequency,
+  };
+}
+
+// Phase of the plan week containing today; before the plan starts or after
+// it ends, the first or last week's phase
+function currentPlanPhase(plan, today) {
+  const index = planWeekIndex(plan, today);
+  if (index > -1) return plan.weeks[index].phase;
+  // planWeekIndex gives -1 on both sides of the plan; the start date tells them apart
+  return today < getPlanStartDate(plan) ? plan.weeks[0].phase : plan.weeks[plan.weeks.length - 1].phase;
+}
+
+// Whole days from today until the plan's race date, or null without one
+function daysUntilRace(plan, today) {
+  const raceDate = parseIsoDate(plan.raceDate);
+  if (!raceDate) return null;
+  const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return Math.round((raceDate - todayStart) / (1000 * 60 * 60 * 24));
+}
+
+// Inline SVG chart of one or more weekly series. Each series is drawn as bars
+// (grouped side by side) or as a line; values of null are left out.
+// options: { label, max, format(value), reference, series: [{ name, className, kind, values }] }
+function weeklyChartSvg(weeks, options) {
+  const width = 320;
+  const height = 160;
+  const pad = { top: 12, right: 8, bottom: 22, left: 34 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const step = plotW / Math.max(weeks.length, 1);
+  const y = (value) => pad.top + plotH - (Math.min(value, options.max) / options.max) * plotH;
+  const bars = options.series.filter((s) => s.kind === 'bar');
+  const barW = (step * 0.7) / Math.max(bars.length, 1);
+  let svg = `<svg class="trend-chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(options.label)} by week">`;
+  // Gridlines at the bottom, middle and top of the scale
+  [0, options.max / 2, options.max].forEach((tick) => {
+    svg += `<line class="trend-grid" x1="${pad.left}" y1="${y(tick).toFixed(1)}" x2="${width - pad.right}" y2="${y(tick).toFixed(1)}"></line>`;
+    svg += `<text class="trend-label" x="${pad.left - 4}" y="${(y(tick) + 4).toFixed(1)}" text-anchor="end">${options.format(tick)}</text>`;
+  });
+  if (options.reference !== undefined) {
+    svg += `<line class="trend-reference" x1="${pad.left}" y1="${y(options.reference).toFixed(1)}" x2="${width - pad.right}" y2="${y(options.reference).toFixed(1)}"></line>`;
   }
-  const completionRatio = totalDays > 0 ? completedDays / totalDays : 0;
-  const avgRPE = rpeCount > 0 ? totalRPE / rpeCount : null;
+  weeks.forEach((week, i) => {
+    const x = pad.left + i * step;
+    bars.forEach((s, b) => {
+      const value = s.values[i];
+      if (value === null) return;
+      const barX = x + step * 0.15 + b * barW;
+      svg += `<rect class="${s.className}" x="${barX.toFixed(1)}" y="${y(value).toFixed(1)}" width="${Math.max(barW - 1, 1).toFixed(1)}" height="${(pad.top + plotH - y(value)).toFixed(1)}"><title>Week ${week.week}: ${s.name} ${options.format(value)}</title></rect>`;
+    });
+    svg += `<text class="trend-label" x="${(x + step / 2).toFixed(1)}" y="${height - 6}" text-anchor="middle">${week.week}</text>`;
+  });
+  options.series
+    .filter((s) => s.kind === 'line')
+    .forEach((s) => {
+      const points = [];
+      s.values.forEach((value, i) => {
+        if (value !== null) points.push({ x: pad.left + i * step + step / 2, y: y(value), value, week: weeks[i].week });
+      });
+      if (points.length > 1) {
+        svg += `<polyline class="${s.className}" points="${points.map((p) => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ')}"></polyline>`;
+      }
+      points.forEach((p) => {
+        svg += `<circle class="${s.className}" cx="${p.x.toFixed(1)}" cy="${p.y.toFixed(1)}" r="3"><title>Week ${p.week}: ${s.name} ${options.format(p.value)}</title></circle>`;
+      });
+    });
+  svg += '</svg>';
+  return svg;
+}
+
+// Inline SVG chart of the logged workout types per week as stacked bars
+function sessionMixSvg(weeks) {
+  const width = 320;
+  const height = 160;
+  const pad = { top: 12, right: 8, bottom: 22, left: 34 };
+  const plotW = width - pad.left - pad.right;
+  const plotH = height - pad.top - pad.bottom;
+  const step = plotW / Math.max(weeks.length, 1);
+  const max = Math.max(...weeks.map((week) => Object.values(week.mix).reduce((sum, n) => sum + n, 0)), 1);
+  let svg = `<svg class="trend-chart-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Logged session mix by week">`;
+  [0, max].forEach((tick) => {
+    const ty = pad.top + plotH - (tick / max) * plotH;
+    svg += `<line class="trend-grid" x1="${pad.left}" y1="${ty.toFixed(1)}" x2="${width - pad.right}" y2="${ty.toFixed(1)}"></line>`;
+    svg += `<text class="trend-label" x="${pad.left - 4}" y="${(ty + 4).toFixed(1)}" text-anchor="end">${tick}</text>`;
+  });
+  weeks.forEach((week, i) => {
+    const x = pad.left + i * step + step * 0.15;
+    let base = pad.top + plotH;
+    Object.keys(MIX_COLOURS).forEach((type) => {
+      const count = week.mix[type];
+      if (count === 0) return;
+      const h = (count / max) * plotH;
+      base -= h;
+      svg += `<rect fill="${MIX_COLOURS[type]}" x="${x.toFixed(1)}" y="${base.toFixed(1)}" width="${(step * 0.7).toFixed(1)}" height="${h.toFixed(1)}"><title>Week ${week.week}: ${count} ${type}</title></rect>`;
+    });
+    svg += `<text class="trend-label" x="${(x + step * 0.35).toFixed(1)}" y="${height - 6}" text-anchor="middle">${week.week}</text>`;
+  });
+  svg += '</svg>';
+  return svg;
+}
+
+// Figures for the four weekly trend charts
+function trendChartsHtml(series, unit) {
+  const pct = (value) => `${Math.round(value)}%`;
+  const maxVolume = Math.max(...series.map((w) => Math.max(w.plannedMiles, w.loggedMiles)), 1);
+  const figure = (title, svg, legend) =>
+    `<figure class="trend-chart"><figcaption>${title}</figcaption>${svg}${legend ? `<p class="load-legend">${legend}</p>` : ''}</figure>`;
+  let html = '<div class="trend-charts">';
+  html += figure(
+    'Adherence',
+    weeklyChartSvg(series, {
+      label: 'Adherence',
+      max: 100,
+      reference: ADHERENCE_GOOD * 100,
+      format: pct,
+      series: [{ name: 'adherence', className: 'trend-bar', kind: 'bar', values: series.map((w) => (w.adherence === null ? null : w.adherence * 100)) }],
+    }),
+    `Planned sessions completed; the line marks ${ADHERENCE_GOOD * 100}%.`
+  );
+  html += figure(
+    'Average RPE',
+    weeklyChartSvg(series, {
+      label: 'Average RPE',
+      max: 10,
+      format: (value) => (Number.isInteger(value) ? String(value) : value.toFixed(1)),
+      series: [{ name: 'RPE', className: 'trend-line', kind: 'line', values: series.map((w) => w.avgRpe) }],
+    })
+  );
+  html += figure(
+    'Run volume vs. plan',
+    weeklyChartSvg(series, {
+      label: 'Run volume',
+      max: milesToUnit(maxVolume, unit),
+      format: (value) => `${Math.round(value)}`,
+      series: [
+        { name: `planned (${unit})`, className: 'trend-bar-planned', kind: 'bar', values: series.map((w) => milesToUnit(w.plannedMiles, unit)) },
+        { name: `logged (${unit})`, className: 'trend-bar', kind: 'bar', values: series.map((w) => milesToUnit(w.loggedMiles, unit)) },
+      ],
+    }),
+    `<span class="legend-planned"></span> Planned <span class="legend-bar"></span> Logged (${unit})`
+  );
+  html += figure(
+    'Session mix',
+    sessionMixSvg(series),
+    Object.keys(MIX_COLOURS)
+      .map((type) => `<span style="background:${MIX_COLOURS[type]}"></span> ${type}`)
+      .join(' ')
+  );
+  html += '</div>';
+  return html;
+}
+
+// HTML of the full review for a plan and its logs: summary, weekly trends,
+// training load and ranked recommendations. Also used by the printable report.
+function reviewHtml(basePlan, logs, today) {
+  const unit = getDistanceUnit();
+  const prefs = loadPreferences();
+  // Per-week metrics from the plan start to today, and their totals
+  const series = reviewWeekSeries(basePlan, logs, today);
+  const overall = summariseWeeks(series);
+  const totalDays = overall.days;
+  const plannedSessions = overall.planned;
+  const completedSessions = overall.completed;
+  const completionRatio = overall.adherence || 0;
+  const avgRPE = overall.avgRpe;
+  const plannedRunMiles = overall.plannedMiles;
+  const loggedRunMiles = overall.loggedMiles;
+  const typeCounts = overall.mix;
+  // Recommendations follow the last few weeks, not the all-time averages
+  const { recent, earlier } = recentTrend(series);
+  const recentRPE = recent.avgRpe;
   // Build review summary HTML
   let html = '';
   html += '<h2>Your Training Insights</h2>';
   html += `<p><strong>Training duration evaluated:</strong> ${totalDays} days (from plan start to today)</p>`;
-  html += `<p><strong>Completed workouts:</strong> ${completedDays} out of ${totalDays} days</p>`;
+  html += `<p><strong>Completed workouts:</strong> ${completedSessions} out of ${plannedSessions} planned sessions</p>`;
   html += `<p><strong>Adherence ratio:</strong> ${(completionRatio * 100).toFixed(1)}%`;
   if (avgRPE !== null) {
     html += ` &nbsp;|&nbsp; <strong>Average RPE:</strong> ${avgRPE.toFixed(1)}`;
   }
   html += '</p>';
+  if (plannedRunMiles > 0) {
+    const volumePct = ((loggedRunMiles / plannedRunMiles) * 100).toFixed(0);
+    html += `<p><strong>Run volume:</strong> ${formatDistance(loggedRunMiles, unit)} logged vs ${formatDistance(plannedRunMiles, unit)} planned (${volumePct}%)</p>`;
+  }
+  // Week-by-week trends
+  if (series.length > 0) {
+    html += '<h3>Weekly trends</h3>';
+    html += trendChartsHtml(series, unit);
+    html += `<p><strong>Last ${recent.weeks} week${recent.weeks === 1 ? '' : 's'}:</strong> ${recent.completed} of ${recent.planned} sessions completed`;
+    if (recent.adherence !== null) html += ` (${Math.round(recent.adherence * 100)}%)`;
+    if (recentRPE !== null) html += ` &nbsp;|&nbsp; average RPE ${recentRPE.toFixed(1)}`;
+    if (recent.volumePct !== null) html += ` &nbsp;|&nbsp; ${Math.round(recent.volumePct)}% of planned run volume`;
+    html += '</p>';
+  }
+  // Training load from session RPE × duration
+  const load = computeLoadMetrics(logs, today);
+  const zone = acwrZone(load.acwr);
+  html += '<h3>Training load</h3>';
+  html += `<p><strong>Acute load (7 days):</strong> ${Math.round(load.acute)} &nbsp;|&nbsp; <strong>Chronic load (28-day weekly average):</strong> ${Math.round(load.chronic)}</p>`;
+  html += `<p><strong>Acute:chronic ratio:</strong> ${load.acwr !== null ? load.acwr.toFixed(2) : 'not enough history'}`;
+  if (zone !== 'unknown') html += ` <span class="acwr-zone acwr-${zone}">${zone}</span>`;
+  html += '</p>';
+  if (load.monotony !== null) {
+    html += `<p><strong>Monotony:</strong> ${load.monotony.toFixed(2)} &nbsp;|&nbsp; <strong>Strain:</strong> ${Math.round(load.strain)}</p>`;
+  }
   html += '<ul>';
   html += `<li><strong>Runs logged:</strong> ${typeCounts.run}</li>`;
   html += `<li><strong>Strength sessions logged:</strong> ${typeCounts.strength}</li>`;
   html += `<li><strong>Other workouts:</strong> ${typeCounts.other}</li>`;
   html += `<li><strong>Rest days logged:</strong> ${typeCounts.rest}</li>`;
   html += '</ul>';
-  // Generate recommendations based on metrics
-  let recommendations = '';
-  if (completionRatio < 0.5) {
-    recommendations +=
-      '<p>You’re missing many of your planned sessions. Consider reducing the weekly workload or adjusting your schedule to make training more manageable. Focus on consistency before intensity.</p>';
-  } else if (completionRatio >= 0.8 && (avgRPE === null || avgRPE <= 4)) {
-    recommendations +=
-      '<p>Great adherence with manageable effort levels! You may benefit from slightly increasing the challenge—try adding an extra interval session or increasing the pace on one easy run.</p>';
-  } else if (avgRPE !== null && avgRPE > 6) {
-    recommendations +=
-      '<p>Your recorded RPEs suggest workouts are feeling very hard. Prioritize recovery sessions and reduce intensity until fatigue decreases. Listen to your body to avoid overtraining.</p>';
-  } else {
-    recommendations +=
-      '<p>Your training is on track. Maintain your current balance between running, strength and recovery to continue progressing toward your race.</p>';
-  }
-  // Additional type-based suggestions
-  if (typeCounts.run < typeCounts.strength) {
-    recommendations +=
-      '<p>You’ve logged more strength than running workouts. Ensure you’re getting sufficient run mileage to build endurance for your race distance.</p>';
+  // Recommendations from the rule set, most severe first
+  const triggered = evaluateReviewRules(REVIEW_RULES, {
+    metrics: reviewMetrics({ recent, earlier }, load, prefs, basePlan),
+    phase: currentPlanPhase(basePlan, today),
+    daysToRace: daysUntilRace(basePlan, today),
+  });
+  html += '<h3>Recommendations</h3><ul class="review-rules">';
+  triggered.forEach((item) => {
+    html += `<li class="review-rule rule-${item.severity}"><span class="rule-severity">${item.severity}</span> ${escapeHtml(item.message)}</li>`;
+  });
+  html += '</ul>';
+  return html;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const container = document.getElementById('reviewResults');
+  // The printable report includes this file for reviewHtml only
+  if (!container) return;
+  // A share link reviews the shared plan and workouts, read-only
+  const shareBanner = document.getElementById('shareBanner');
+  const { shared, error } = parseShareFragment(window.location.hash);
+  if (shared) {
+    if (shareBanner) renderShareBanner(shareBanner, shared);
+    container.closest('main').classList.add('shared-view');
+    container.innerHTML = reviewHtml(shared.plan, shared.logs, new Date());
+    return;
   }
-  if (typeCounts.strength === 0) {
-    recommendations +=
-      '<p>You haven’t logged any strength sessions. Incorporating strength and grip work will help with obstacle efficiency.</p>';
+  if (error && shareBanner) {
+    shareBanner.hidden = false;
+    shareBanner.innerHTML = `<p class="share-error">${escapeHtml(error)}</p>`;
   }
-  if (typeCounts.other > 0 && typeCounts.run + typeCounts.strength === 0) {
-    recommendations +=
-      '<p>Most of your workouts are categorized as “Other.” Try logging runs and strength sessions specifically to better tailor the plan.</p>';
+  // Retrieve base plan record from localStorage
+  const basePlan = loadPlanRecord();
+  if (!basePlan) {
+    container.innerHTML =
+      '<p>Please generate a training plan first in the Plan Generator tab. Once a plan is available, return here for your review.</p>';
+    return;
   }
-  html += '<h3>Recommendations</h3>' + recommendations;
-  container.innerHTML = html;
+  container.innerHTML = reviewHtml(basePlan, loadLogEntries(), new Date());
 });
\ No newline at end of file
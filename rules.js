@@ -0,0 +1,258 @@
+/*
+ * rules.js
+ * Declarative rules behind the Coach Review recommendations.
+ * Each rule lists conditions over the review metrics, and can be limited to
+ * plan phases and to a window of days before the race. Every rule whose
+ * conditions all hold is shown, ranked by severity. The evaluation functions
+ * only work on plain objects, so rules can be checked without the page.
+ * Thresholds owned by other modules (such as monotonyHigh from load.js) are
+ * passed in as metrics, so this file has no dependencies.
+ *
+ * Rule shape:
+ *   { id, severity: 'high' | 'medium' | 'low' | 'info',
+ *     conditions: [{ metric, op, value } or { metric, op, ref }],
+ *     phases: ['Base', 'Build', 'Specific', 'Taper'] (optional),
+ *     daysToRace: { min, max } (optional, inclusive),
+ *     suppresses: [rule ids hidden when this rule fires] (optional),
+ *     fallback: true to fire only when no other rule did (optional),
+ *     message: text with {metric} placeholders }
+ *
+ * A condition compares a metric with a fixed value, or with another metric
+ * named by `ref`. Conditions on a metric that is not known (null) fail,
+ * unless the condition sets `orMissing: true`.
+ */
+
+// Order of severities from most to least urgent
+const RULE_SEVERITIES = ['high', 'medium', 'low', 'info'];
+
+// Comparison operators available to rule conditions
+const RULE_OPERATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+};
+
+// Metrics (see reviewMetrics in review.js): recentAdherencePct, earlierAdherencePct,
+// recentRpe, recentVolumePct, volumeUnderPct, volumeOverPct, acwr, acwrZone,
+// monotony, monotonyHigh, recentRuns, recentStrength, recentOther, recentRunStrength, recentWeeks,
+// plannedStrengthPerWeek
+const REVIEW_RULES = [
+  {
+    id: 'adherence-drop',
+    severity: 'high',
+    conditions: [
+      { metric: 'earlierAdherencePct', op: '>=', value: 80 },
+      { metric: 'recentAdherencePct', op: '<', value: 50 },
+    ],
+    suppresses: ['missed-sessions'],
+    message:
+      'Your consistency has dropped off sharply in the last {recentWeeks} weeks ({recentAdherencePct}% of sessions, down from {earlierAdherencePct}%). Check what changed—schedule, motivation, niggles—and restart with shorter sessions rather than trying to catch up.',
+  },
+  {
+    id: 'missed-sessions',
+    severity: 'high',
+    conditions: [{ metric: 'recentAdherencePct', op: '<', value: 50 }],
+    message:
+      'You’re missing many of your planned sessions ({recentAdherencePct}% completed lately). Consider reducing the weekly workload or adjusting your schedule to make training more manageable. Focus on consistency before intensity.',
+  },
+  {
+    id: 'load-spike',
+    severity: 'high',
+    conditions: [{ metric: 'acwrZone', op: '==', value: 'danger' }],
+    message:
+      'Your training load this week is well above what you’re used to (acute:chronic ratio {acwr}). Back off for a few days—swap a hard session for easy running or rest—to bring the spike under control.',
+  },
+  {
+    id: 'taper-high-rpe',
+    severity: 'high',
+    phases: ['Taper'],
+    conditions: [{ metric: 'recentRpe', op: '>', value: 6 }],
+    suppresses: ['high-rpe'],
+    message:
+      'You’re tapering but sessions still feel hard (average RPE {recentRpe}). Cut the volume further and keep only short, sharp efforts so you arrive at the start line fresh.',
+  },
+  {
+    id: 'race-week-load',
+    severity: 'high',
+    daysToRace: { min: 0, max: 7 },
+    conditions: [{ metric: 'acwrZone', op: 'in', value: ['caution', 'danger'] }],
+    suppresses: ['load-spike', 'load-climbing'],
+    message:
+      'Your race is {daysToRace} days away and your load is still climbing. Rest and easy movement will help more now than any extra training.',
+  },
+  {
+    id: 'high-rpe',
+    severity: 'medium',
+    conditions: [{ metric: 'recentRpe', op: '>', value: 6 }],
+    message:
+      'Your recorded RPEs suggest workouts are feeling very hard (average {recentRpe}). Prioritize recovery sessions and reduce intensity until fatigue decreases. Listen to your body to avoid overtraining.',
+  },
+  {
+    id: 'base-too-hard',
+    severity: 'medium',
+    phases: ['Base'],
+    conditions: [{ metric: 'recentRpe', op: '>', value: 5 }],
+    message:
+      'You’re in the base phase, where most running should feel easy, but your average RPE is {recentRpe}. Slow your easy runs down so you can absorb the volume.',
+  },
+  {
+    id: 'load-climbing',
+    severity: 'medium',
+    conditions: [{ metric: 'acwrZone', op: '==', value: 'caution' }],
+    message: 'Your load is climbing faster than your recent average. Hold volume steady for the next week rather than adding more.',
+  },
+  {
+    id: 'key-sessions-close-to-race',
+    severity: 'medium',
+    phases: ['Build', 'Specific'],
+    daysToRace: { min: 0, max: 42 },
+    conditions: [{ metric: 'recentAdherencePct', op: '<', value: 80 }],
+    message:
+      'With {daysToRace} days to go, every week of race-specific work counts. If you can’t fit everything in, keep the long run and the obstacle-specific sessions and drop an easy run instead.',
+  },
+  {
+    id: 'monotony',
+    severity: 'medium',
+    conditions: [{ metric: 'monotony', op: '>', ref: 'monotonyHigh' }],
+    message:
+      'Your training days have been very similar in load (monotony {monotony}). Mix in easier days and at least one full rest day to recover between harder efforts.',
+  },
+  {
+    id: 'volume-under',
+    severity: 'low',
+    conditions: [
+      { metric: 'recentAdherencePct', op: '>=', value: 50 },
+      { metric: 'recentVolumePct', op: '<', ref: 'volumeUnderPct' },
+    ],
+    message:
+      'Your recent runs are coming in well short of the planned distance ({recentVolumePct}% of plan). Check whether the targets are realistic, or extend your easy runs a little at a time.',
+  },
+  {
+    id: 'volume-over',
+    severity: 'low',
+    conditions: [
+      { metric: 'recentAdherencePct', op: '>=', value: 50 },
+      { metric: 'recentVolumePct', op: '>', ref: 'volumeOverPct' },
+    ],
+    message:
+      'You’ve been running noticeably more than planned lately ({recentVolumePct}% of plan). Extra volume adds fatigue—keep easy runs to their target so the key sessions stay high quality.',
+  },
+  {
+    id: 'no-strength',
+    severity: 'low',
+    // Plans made with no strength sessions don't expect any; older plans without
+    // the setting are assumed to include strength
+    conditions: [
+      { metric: 'recentStrength', op: '==', value: 0 },
+      { metric: 'plannedStrengthPerWeek', op: '>', value: 0, orMissing: true },
+    ],
+    message: 'You haven’t logged any strength sessions lately. Incorporating strength and grip work will help with obstacle efficiency.',
+  },
+  {
+    id: 'strength-over-running',
+    severity: 'low',
+    conditions: [{ metric: 'recentRuns', op: '<', ref: 'recentStrength' }],
+    message:
+      'You’ve logged more strength than running workouts. Ensure you’re getting sufficient run mileage to build endurance for your race distance.',
+  },
+  {
+    id: 'load-low',
+    severity: 'low',
+    conditions: [
+      { metric: 'acwrZone', op: '==', value: 'low' },
+      { metric: 'recentAdherencePct', op: '>=', value: 50 },
+    ],
+    message:
+      'Your recent load is below your usual level. If you’re feeling fresh, build back up gradually rather than jumping straight to full volume.',
+  },
+  {
+    id: 'ready-for-more',
+    severity: 'info',
+    phases: ['Base', 'Build', 'Specific'],
+    daysToRace: { min: 15 },
+    conditions: [
+      { metric: 'recentAdherencePct', op: '>=', value: 80 },
+      { metric: 'recentRpe', op: '<=', value: 4, orMissing: true },
+    ],
+    message:
+      'Great adherence with manageable effort levels! You may benefit from slightly increasing the challenge—try adding an extra interval session or increasing the pace on one easy run.',
+  },
+  {
+    id: 'other-only',
+    severity: 'info',
+    conditions: [
+      { metric: 'recentOther', op: '>', value: 0 },
+      { metric: 'recentRunStrength', op: '==', value: 0 },
+    ],
+    message: 'Most of your workouts are categorized as “Other.” Try logging runs and strength sessions specifically to better tailor the plan.',
+  },
+  {
+    id: 'on-track',
+    severity: 'info',
+    fallback: true,
+    conditions: [],
+    message: 'Your training is on track. Maintain your current balance between running, strength and recovery to continue progressing toward your race.',
+  },
+];
+
+// Whether one condition holds for the given metrics
+function checkRuleCondition(condition, metrics) {
+  const compare = RULE_OPERATORS[condition.op];
+  if (!compare) return false;
+  const actual = metrics[condition.metric];
+  const expected = condition.ref !== undefined ? metrics[condition.ref] : condition.value;
+  if (actual === null || actual === undefined || expected === null || expected === undefined) {
+    return Boolean(condition.orMissing);
+  }
+  return compare(actual, expected);
+}
+
+// Whether a rule applies to the context: { metrics, phase, daysToRace }
+function ruleMatches(rule, context) {
+  if (rule.phases && !rule.phases.includes(context.phase)) return false;
+  if (rule.daysToRace) {
+    const days = context.daysToRace;
+    if (days === null || days === undefined) return false;
+    if (rule.daysToRace.min !== undefined && days < rule.daysToRace.min) return false;
+    if (rule.daysToRace.max !== undefined && days > rule.daysToRace.max) return false;
+  }
+  return (rule.conditions || []).every((condition) => checkRuleCondition(condition, context.metrics));
+}
+
+// Fill {name} placeholders from the metrics, phase and days to race.
+// Fractional numbers are shown with one decimal place.
+function fillRuleMessage(template, context) {
+  const values = { ...context.metrics, phase: context.phase, daysToRace: context.daysToRace };
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    const value = values[name];
+    if (value === null || value === undefined) return match;
+    if (typeof value === 'number' && !Number.isInteger(value)) return value.toFixed(1);
+    return String(value);
+  });
+}
+
+// Evaluate rules against a context and return the triggered ones, most severe
+// first (rules of equal severity keep their order in the list), as
+// [{ id, severity, message }]
+function evaluateReviewRules(rules, context) {
+  let triggered = rules.filter((rule) => !rule.fallback && ruleMatches(rule, context));
+  const suppressed = new Set();
+  triggered.forEach((rule) => (rule.suppresses || []).forEach((id) => suppressed.add(id)));
+  triggered = triggered.filter((rule) => !suppressed.has(rule.id));
+  // Fallback rules only speak when nothing else has
+  if (triggered.length === 0) {
+    triggered = triggered.concat(rules.filter((rule) => rule.fallback && ruleMatches(rule, context)));
+  }
+  const rank = (rule) => {
+    const index = RULE_SEVERITIES.indexOf(rule.severity);
+    return index === -1 ? RULE_SEVERITIES.length : index;
+  };
+  return triggered
+    .map((rule, order) => ({ rule, order }))
+    .sort((a, b) => rank(a.rule) - rank(b.rule) || a.order - b.order)
+    .map(({ rule }) => ({ id: rule.id, severity: rule.severity, message: fillRuleMessage(rule.message, context) }));
+}
@@ -4,24 +4,296 @@
  * The logic implements a very simplified version of the periodization algorithm
  * described in the site specification. It assigns phases (Base → Build → Specific → Taper),
  * gradually increases weekly mileage, and distributes running, strength and rest days
- * according to the user's available days and experience level.
+ * according to the user's available days, experience level, equipment and goals.
  */
 
-// Utility function: calculate difference in weeks between two dates
-function weeksBetween(date1, date2) {
-  const msPerWeek = 1000 * 60 * 60 * 24 * 7;
-  return Math.max(1, Math.floor((date2 - date1) / msPerWeek));
+// Utility function: number of plan weeks from the start Monday to race week,
+// counting race week itself, so a race 0–6 days after the start is a 1-week plan.
+// Days are rounded first so a daylight-saving change doesn't lose a week.
+function planWeekCount(startDate, raceDate) {
+  const msPerDay = 1000 * 60 * 60 * 24;
+  return Math.floor(Math.round((raceDate - startDate) / msPerDay) / 7) + 1;
+}
+
+// Approximate easy pace (minutes per mile) used to turn run distances into durations
+const RUN_PACE_MIN_PER_MILE = { beginner: 11, intermediate: 10, advanced: 9 };
+// Share of the weekly mileage given to each hard run
+const HARD_RUN_SHARE = 0.2;
+// Default build:recover loading pattern for each experience level
+const DEFAULT_LOADING_PATTERN = { beginner: '2:1', intermediate: '3:1', advanced: '4:1' };
+// Volume of a recovery (deload) week relative to the preceding build weeks
+const DELOAD_VOLUME = 0.7;
+// Day names in plan order (weeks start on Monday)
+const DAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Parse a 'build:recover' loading pattern such as '3:1'
+function parseLoadingPattern(pattern) {
+  const [build, recover] = String(pattern || '').split(':').map((n) => parseInt(n, 10));
+  if (!(build > 0) || !(recover > 0)) return null;
+  return { build, recover };
+}
+
+// Taper volume relative to peak for taper week t (0-based) of taperWeeks
+function taperFactor(t, taperWeeks) {
+  return 0.8 - (0.4 * (t + 1)) / (taperWeeks + 1);
+}
+
+// Share of the weekly mileage given to the long run; it grows through Base and Build
+function longRunShare(phase, phaseWeek, phaseLength) {
+  const progress = phaseLength > 1 ? phaseWeek / (phaseLength - 1) : 1;
+  if (phase === 'Base') return 0.25 + 0.05 * progress;
+  if (phase === 'Build') return 0.3 + 0.05 * progress;
+  if (phase === 'Specific') return 0.35;
+  return 0.25;
+}
+
+// Split a week's mileage across its run sessions: each hard run takes a fixed
+// share of the week, and the long run and easy runs divide what is left
+function distributeWeekMileage(weekObj, paceMinPerMile) {
+  const miles = parseFloat(weekObj.mileage) || 0;
+  const runs = weekObj.days.filter((session) => session.type === 'run');
+  if (runs.length === 0) return;
+  const longShare = weekObj.longRunShare || 0.3;
+  const kinds = runs.map((session) => {
+    if (session.workoutId === 'long-run') return 'long';
+    return session.intensity === 'hard' ? 'hard' : 'easy';
+  });
+  const count = (kind) => kinds.filter((k) => k === kind).length;
+  // Hard-run shares are absolute; they are never scaled up to fill the week
+  const restShare = Math.max(0, 1 - count('hard') * HARD_RUN_SHARE);
+  const longWeight = count('long') * longShare;
+  // Easy runs stay shorter than the long run; the remainder is normalised afterwards
+  let easyWeight = 0;
+  if (count('easy') > 0) {
+    easyWeight = Math.min(0.8 * longShare, Math.max(0.1, (restShare - longWeight) / count('easy')));
+  }
+  const restWeight = longWeight + easyWeight * count('easy');
+  runs.forEach((session, i) => {
+    let share = HARD_RUN_SHARE;
+    if (kinds[i] === 'long') share = (restShare * longShare) / restWeight;
+    else if (kinds[i] === 'easy') share = (restShare * easyWeight) / restWeight;
+    session.targetDistance = Math.round(miles * share * 10) / 10;
+    // Round the estimated duration to 5 minutes, with a 10 minute minimum
+    session.targetDurationMin = Math.max(10, Math.round((session.targetDistance * paceMinPerMile) / 5) * 5);
+  });
+}
+
+// Days apart two weekdays are, counting across the weekend into the next week
+function dayDistance(a, b) {
+  const diff = Math.abs(a - b);
+  return Math.min(diff, 7 - diff);
+}
+
+// Pick the candidate day furthest from every day already taken (earliest on ties)
+function spreadDay(candidates, taken) {
+  let best = null;
+  let bestDistance = -1;
+  candidates.forEach((day) => {
+    const distance = taken.length > 0 ? Math.min(...taken.map((t) => dayDistance(day, t))) : 7;
+    if (distance > bestDistance) {
+      best = day;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// Weekday for the long session: the athlete's choice when they train that day,
+// otherwise Saturday, Sunday or the last day they can train
+function chooseLongDay(available, preferred) {
+  const day = parseInt(preferred, 10);
+  if (available.includes(day)) return day;
+  if (available.includes(5)) return 5;
+  if (available.includes(6)) return 6;
+  return available[available.length - 1];
+}
+
+// Which weekdays to train on: the long day plus days spread across the week
+function chooseTrainingDays(available, count, longDay) {
+  const days = [longDay];
+  while (days.length < count) {
+    days.push(spreadDay(available.filter((d) => !days.includes(d)), days));
+  }
+  return days.sort((a, b) => a - b);
+}
+
+// How a race changes the weeks around it by priority: volume factors for the
+// taper weeks leading up to and including race week, then for the recovery
+// weeks after it. A races get a full taper, B races a mini-taper and C races
+// are trained through.
+const RACE_PRIORITIES = {
+  A: { taper: [0.8, 0.6], recovery: [0.6, 0.85], desc: 'goal race – race it all out and enjoy it.' },
+  B: { taper: [0.85], recovery: [0.8], desc: 'tune-up race – race hard, but it is a step towards your A race.' },
+  C: { taper: [], recovery: [], desc: 'training race – treat it as a hard workout within a normal week.' },
+};
+
+// Races in the plan: the goal race plus any other season races before it,
+// each with the plan week and weekday it falls on. Races outside the plan are left out.
+function seasonRaces(data, startDate, weekCount) {
+  const msPerDay = 1000 * 60 * 60 * 24;
+  const races = [{ name: data.raceName || 'Goal race', date: data.raceDate, priority: 'A', main: true }];
+  (data.races || []).forEach((race) => {
+    if (!race.date || race.date >= data.raceDate) return;
+    races.push({ name: race.name || 'Race', date: race.date, priority: RACE_PRIORITIES[race.priority] ? race.priority : 'B' });
+  });
+  return races
+    .map((race) => {
+      const dayOffset = Math.round((parseIsoDate(race.date) - startDate) / msPerDay);
+      return { ...race, week: Math.floor(dayOffset / 7), day: dayOffset % 7 };
+    })
+    .filter((race) => race.week >= 0 && race.week < weekCount)
+    .sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+// Create the race-day session for a season race
+function createRaceSession(race, phase) {
+  const session = createSession(getWorkout('race'), phase);
+  session.title = `${race.name} (${race.priority} race)`;
+  session.description = `${race.name} – ${RACE_PRIORITIES[race.priority].desc}`;
+  session.racePriority = race.priority;
+  return session;
+}
+
+// Put the season races into the weeks: race-day sessions with easier days
+// around them, tapers into A and B races and recovery weeks after them
+function applySeasonRaces(weeksPlan, races, paceMinPerMile) {
+  const factors = {};
+  const scale = (w, factor) => {
+    if (w < 0 || w >= weeksPlan.length) return false;
+    factors[w] = Math.min(factors[w] || 1, factor);
+    return true;
+  };
+  races.forEach((race) => {
+    const rules = RACE_PRIORITIES[race.priority];
+    const weekObj = weeksPlan[race.week];
+    weekObj.races = (weekObj.races || []).concat({ name: race.name, priority: race.priority });
+    // The goal race already sits in the taper phase at the end of the plan
+    if (!race.main) {
+      rules.taper.forEach((factor, i) => {
+        const w = race.week - (rules.taper.length - 1 - i);
+        if (scale(w, factor)) weeksPlan[w].raceTaper = true;
+      });
+      rules.recovery.forEach((factor, i) => {
+        const w = race.week + 1 + i;
+        if (!scale(w, factor)) return;
+        weeksPlan[w].postRace = true;
+        // No quality runs while recovering from the race
+        weeksPlan[w].days = weeksPlan[w].days.map((session) =>
+          session.type === 'run' && session.intensity === 'hard' ? createSession(getWorkout('easy-run'), session.phase) : session
+        );
+      });
+    }
+    // Ease off the day before and after; A and B races get full rest days
+    const easeDay = (dIndex, restful) => {
+      const session = weekObj.days[dIndex];
+      if (!session || session.type === 'race') return;
+      if (restful) weekObj.days[dIndex] = createSession(getWorkout('rest'), weekObj.phase);
+      else if (isKeySession(session)) weekObj.days[dIndex] = createSession(getWorkout('mobility'), weekObj.phase);
+    };
+    easeDay(race.day - 1, race.priority !== 'C');
+    easeDay(race.day + 1, race.priority === 'A');
+    // Nothing is planned after the goal race
+    if (race.main) {
+      for (let d = race.day + 1; d < 7; d++) weekObj.days[d] = createSession(getWorkout('rest'), weekObj.phase);
+    }
+    weekObj.days[race.day] = createRaceSession(race, weekObj.phase);
+  });
+  weeksPlan.forEach((weekObj, w) => {
+    if (factors[w]) weekObj.mileage = (parseFloat(weekObj.mileage) * factors[w]).toFixed(1);
+    if (factors[w] || weekObj.races) distributeWeekMileage(weekObj, paceMinPerMile);
+  });
+}
+
+// Plans shorter than this many weeks use the compressed plan mode
+const MIN_FULL_PLAN_WEEKS = 5;
+// Longest plan the generator builds, from week 1 to race week
+const MAX_PLAN_WEEKS = 52;
+
+// Check the planner inputs before generating a plan. Returns an object of
+// error messages keyed by form field name; it is empty when the inputs are usable.
+function validatePlanInputs(data, today) {
+  const errors = {};
+  const now = today || new Date();
+  const todayIso = toIsoDate(now);
+  const startIso = toIsoDate(nextMonday(now));
+  const raceDate = parseIsoDate(data.raceDate);
+  if (!raceDate) {
+    errors.raceDate = 'Enter your race date.';
+  } else if (data.raceDate <= todayIso) {
+    errors.raceDate = 'Your race date is in the past. Enter an upcoming race.';
+  } else if (data.raceDate < startIso) {
+    errors.raceDate = 'Your race is before the plan would start next Monday. Keep this week easy and rest up for race day.';
+  } else if (planWeekCount(nextMonday(now), raceDate) > MAX_PLAN_WEEKS) {
+    errors.raceDate = `Plans cover at most ${MAX_PLAN_WEEKS} weeks. Pick a race within the next year, or come back closer to race day.`;
+  }
+  const readCount = (name) => {
+    const value = String(data[name] === undefined ? '' : data[name]).trim();
+    return value === '' ? NaN : Number(value);
+  };
+  const mileage = readCount('runningMileage');
+  if (isNaN(mileage) || mileage < 0) {
+    errors.runningMileage = 'Enter your current weekly running distance (0 or more).';
+  }
+  const strengthAge = readCount('strengthAge');
+  if (isNaN(strengthAge) || strengthAge < 0 || !Number.isInteger(strengthAge)) {
+    errors.strengthAge = 'Enter your strength-training age as a whole number of months.';
+  }
+  const trainingDays = readCount('trainingDays');
+  const strengthFrequency = readCount('strengthFrequency');
+  if (isNaN(trainingDays) || trainingDays < 1 || trainingDays > 7 || !Number.isInteger(trainingDays)) {
+    errors.trainingDays = 'Enter between 1 and 7 training days per week.';
+  }
+  if (isNaN(strengthFrequency) || strengthFrequency < 0 || strengthFrequency > 7 || !Number.isInteger(strengthFrequency)) {
+    errors.strengthFrequency = 'Enter between 0 and 7 strength sessions per week.';
+  }
+  const weekdays = data.trainingWeekdays || [];
+  if (!errors.trainingDays && weekdays.length > 0 && weekdays.length < trainingDays) {
+    errors.trainingWeekdays = `You ticked ${weekdays.length} day${weekdays.length === 1 ? '' : 's'} but asked for ${trainingDays} training days. Tick more days or lower your training days.`;
+  }
+  if (!errors.trainingDays && !errors.strengthFrequency) {
+    // Runs take about 60% of training days, the same split generatePlan uses
+    const runDays = Math.max(1, Math.round(trainingDays * 0.6));
+    const strengthRoom = Math.max(0, trainingDays - runDays);
+    if (strengthFrequency > trainingDays) {
+      errors.strengthFrequency = `${strengthFrequency} strength sessions don't fit into ${trainingDays} training days.`;
+    } else if (strengthFrequency > strengthRoom) {
+      const room =
+        strengthRoom === 0
+          ? 'there is no room for strength sessions'
+          : `only ${strengthRoom} strength session${strengthRoom === 1 ? ' fits' : 's fit'}`;
+      errors.strengthFrequency = `With ${trainingDays} training day${trainingDays === 1 ? '' : 's'}, ${room} alongside your runs. Lower your strength sessions or add training days.`;
+    }
+  }
+  const raceErrors = [];
+  (data.races || []).forEach((race) => {
+    const label = race.name || race.date;
+    if (race.date <= todayIso) raceErrors.push(`${label} is in the past.`);
+    else if (race.date < startIso) raceErrors.push(`${label} is before the plan would start next Monday.`);
+    else if (data.raceDate && race.date >= data.raceDate) raceErrors.push(`${label} is on or after your goal race; plans end at the goal race.`);
+  });
+  if (raceErrors.length > 0) errors.races = raceErrors.join(' ');
+  return errors;
 }
 
-// Main generator function
-function generatePlan(data) {
+// Main generator function. A shared plan passes its anchored start date
+// (YYYY-MM-DD) so it is rebuilt on the same calendar days.
+function generatePlan(data, anchorDate) {
   const today = new Date();
-  const raceDate = new Date(data.raceDate);
-  const weeksToRace = weeksBetween(today, raceDate);
+  const raceDate = parseIsoDate(data.raceDate) || new Date(data.raceDate);
+  // Week 1 starts on the upcoming Monday and the last week is race week
+  const startDate = parseIsoDate(anchorDate) || nextMonday(today);
+  const weeksToRace = planWeekCount(startDate, raceDate);
 
-  // Determine phase lengths (simplified)
+  // Determine phase lengths (simplified). Very short timelines get a
+  // compressed plan: one week per phase counting back from race week
+  const compressed = weeksToRace < MIN_FULL_PLAN_WEEKS;
   let baseWeeks, buildWeeks, specificWeeks, taperWeeks;
-  if (weeksToRace < 8) {
+  if (compressed) {
+    taperWeeks = 1;
+    specificWeeks = weeksToRace >= 2 ? 1 : 0;
+    buildWeeks = weeksToRace >= 3 ? 1 : 0;
+    baseWeeks = weeksToRace - taperWeeks - specificWeeks - buildWeeks;
+  } else if (weeksToRace < 8) {
     baseWeeks = 2;
     taperWeeks = 1;
     specificWeeks = 1;
@@ -56,47 +328,68 @@ function generatePlan(data) {
   else if (data.raceDistance === '10k') peakMultiplier = 1.8;
   else if (data.raceDistance === '21k') peakMultiplier = 2.2;
   else peakMultiplier = 3.0; // ultra
+  // Athlete profile used to filter the workout library
+  const profile = {
+    equipment: data.equipment || [],
+    goals: data.goals || [],
+    injuryAreas: parseInjuryAreas(data.injuries),
+    strengthLevel: strengthLevel(data.strengthAge),
+    paceMinPerMile: RUN_PACE_MIN_PER_MILE[experience] || 10,
+  };
+  const competitive = profile.goals.includes('competitive');
+  const completion = profile.goals.includes('completion') && !competitive;
+  // Completion goals favour aerobic volume over intensity
+  if (completion) peakMultiplier *= 1.1;
   const targetPeak = Math.max(currentMiles * peakMultiplier, 10);
+  // Loading pattern: a block of build weeks followed by recovery weeks
+  const loadingPattern =
+    parseLoadingPattern(data.loadingPattern) ? data.loadingPattern : DEFAULT_LOADING_PATTERN[experience] || '3:1';
+  const cycle = parseLoadingPattern(loadingPattern);
+  const preTaperWeeks = weeks - taperWeeks;
+  const deloadWeeks = [];
+  let peakMiles = currentMiles;
   for (let i = 0; i < weeks; i++) {
+    if (i >= preTaperWeeks) {
+      // Taper: step volume down from the peak
+      weeklyMiles.push(peakMiles * taperFactor(i - preTaperWeeks, taperWeeks));
+      continue;
+    }
+    // Recovery weeks drop volume and hold the progression; none right before the taper
+    const isDeload = !compressed && i % (cycle.build + cycle.recover) >= cycle.build && i < preTaperWeeks - 1;
+    if (isDeload) {
+      deloadWeeks.push(i + 1);
+      weeklyMiles.push(currentMiles * DELOAD_VOLUME);
+      continue;
+    }
     weeklyMiles.push(currentMiles);
+    peakMiles = Math.max(peakMiles, currentMiles);
     // increase miles gradually until targetPeak
-    const inc = experience === 'beginner' ? 0.08 : experience === 'intermediate' ? 0.10 : 0.12;
+    // A compressed plan holds current volume; there is no time to build safely
+    let inc = experience === 'beginner' ? 0.08 : experience === 'intermediate' ? 0.10 : 0.12;
+    if (compressed) inc = 0;
     currentMiles = Math.min(targetPeak, currentMiles * (1 + inc));
   }
 
-  // Helper to pick a run description based on phase and whether it's hard or easy
-  function generateRunDesc(isHard, phase) {
-    if (!isHard) {
-      return 'Easy run – stay at conversational pace (RPE 3–4).';
-    }
-    if (phase === 'Base') {
-      return 'Tempo run – moderate pace (RPE 5–6).';
-    }
-    if (phase === 'Build') {
-      return 'Interval or hill session – short bursts at RPE 6–7 with recovery jogs.';
-    }
-    if (phase === 'Specific') {
-      return 'Race‑specific run – include carries or obstacles and maintain RPE 5–7.';
-    }
-    return 'Short sharpening run – brief bursts at RPE 6, mostly easy.';
+  // Helper to pick a run session from the workout library
+  function generateRunSession(isHard, phase, rotation) {
+    return createSession(pickWorkout('run', phase, profile, isHard, rotation), phase);
   }
-  // Helper to pick a strength description based on phase
-  function generateStrengthDesc(phase) {
-    if (phase === 'Base') {
-      return 'General strength circuit – squats, push‑ups, lunges, core exercises.';
-    }
-    if (phase === 'Build') {
-      return 'Full‑body strength with added grip work – deadlifts, pull‑ups, presses.';
-    }
-    if (phase === 'Specific') {
-      return 'Obstacle strength & carries – rope climbs, sandbag/bucket carries, rig practice.';
-    }
-    return 'Light strength & mobility – keep muscles activated but prioritise recovery.';
+  // Helper to pick a strength session, with sets and reps scaled by strength age
+  function generateStrengthSession(phase, rotation, deload) {
+    const workout = pickWorkout('strength', phase, profile, false, rotation);
+    return createSession(workout, phase, strengthPrescription(profile.strengthLevel, phase, deload));
   }
 
+  // Weekdays the athlete can train (0 = Monday); all days when none are chosen
+  const chosenWeekdays = (data.trainingWeekdays || []).map((d) => parseInt(d, 10)).filter((d) => d >= 0 && d < 7);
+  const availableDays = chosenWeekdays.length > 0 ? chosenWeekdays.sort((a, b) => a - b) : [0, 1, 2, 3, 4, 5, 6];
+  const longDay = chooseLongDay(availableDays, data.longDay);
   // Determine how many sessions per category per week
-  const trainingDays = parseInt(data.trainingDays, 10) || 3;
-  const strengthFreq = parseInt(data.strengthFrequency, 10) || 1;
+  const trainingDays = Math.min(parseInt(data.trainingDays, 10) || 3, availableDays.length);
+  const weekDays = chooseTrainingDays(availableDays, trainingDays, longDay);
+  // 0 is a valid choice (no strength days); only a missing value falls back to 1
+  const strengthInput = parseInt(data.strengthFrequency, 10);
+  const strengthFreq = isNaN(strengthInput) ? 1 : strengthInput;
 
   // Build the weekly schedule
   const weeksPlan = [];
@@ -106,52 +399,97 @@ function generatePlan(data) {
     else if (w < baseWeeks + buildWeeks) phase = 'Build';
     else if (w < baseWeeks + buildWeeks + specificWeeks) phase = 'Specific';
     else phase = 'Taper';
+    // Position within the current phase, used to grow the long run
+    const phaseStart = {
+      Base: 0,
+      Build: baseWeeks,
+      Specific: baseWeeks + buildWeeks,
+      Taper: baseWeeks + buildWeeks + specificWeeks,
+    }[phase];
+    const deload = deloadWeeks.includes(w + 1);
+    const phaseLength = { Base: baseWeeks, Build: buildWeeks, Specific: specificWeeks, Taper: taperWeeks }[phase];
 
-    const days = Array(7).fill('');
+    const days = Array(7).fill(null);
     // Determine number of run days (60% of training days, at least 1)
     const runDays = Math.max(1, Math.round(trainingDays * 0.6));
     // Strength days: min(strength frequency, trainingDays - runDays)
     const strengthDays = Math.min(strengthFreq, trainingDays - runDays);
     // Remaining training days are rest/optional mobility
     const restDays = trainingDays - runDays - strengthDays;
-    // Determine which run days are hard: 1 hard day per week if >3 training days
-    const hardRuns = trainingDays >= 4 ? 1 : 0;
+    // Determine which run days are hard: 1 hard day per week if >3 training days.
+    // Competitive goals add a quality session; completion goals keep it to one on 5+ days.
+    let hardRuns = trainingDays >= 4 ? 1 : 0;
+    if (competitive && trainingDays >= 3) hardRuns += 1;
+    else if (completion && trainingDays < 5) hardRuns = 0;
+    // One run always stays easy so the week keeps its long run
+    hardRuns = Math.min(hardRuns, runDays - 1);
+    // Recovery weeks drop the quality sessions
+    if (deload) hardRuns = 0;
 
-    // Spread training across Monday–Sunday
-    let runCount = 0;
-    let strengthCount = 0;
-    let hardRunUsed = 0;
+    // Sessions for the week: the long run goes on the long day, then hard runs
+    // and strength sessions are spread so none fall on neighbouring days
+    // (counting Sunday next to Monday), and easy runs and mobility fill the rest
+    const easyRuns = runDays - hardRuns;
+    const open = weekDays.slice();
+    const hardDays = [];
+    const place = (day, session) => {
+      days[day] = session;
+      open.splice(open.indexOf(day), 1);
+    };
+    if (easyRuns > 0) {
+      place(longDay, createSession(getWorkout('long-run'), phase));
+      hardDays.push(longDay);
+    }
+    const spreadSessions = [];
+    for (let i = 0; i < hardRuns; i++) spreadSessions.push(generateRunSession(true, phase, w + i));
+    for (let i = 0; i < strengthDays; i++) spreadSessions.push(generateStrengthSession(phase, w + i, deload));
+    spreadSessions.forEach((session) => {
+      const day = spreadDay(open, hardDays);
+      place(day, session);
+      hardDays.push(day);
+    });
+    // The long run counts as one of the easy runs
+    for (let i = easyRuns > 0 ? 1 : 0; i < easyRuns; i++) {
+      place(open[0], generateRunSession(false, phase, w + hardRuns + i));
+    }
+    open.slice().forEach((day) => place(day, createSession(getWorkout('mobility'), phase)));
     for (let d = 0; d < 7; d++) {
-      if (runCount < runDays) {
-        const isHard = hardRunUsed < hardRuns && runDays - runCount <= hardRuns - hardRunUsed + (7 - d);
-        if (isHard) hardRunUsed++;
-        days[d] = generateRunDesc(isHard, phase);
-        runCount++;
-      } else if (strengthCount < strengthDays) {
-        days[d] = generateStrengthDesc(phase);
-        strengthCount++;
-      } else if (d < trainingDays) {
-        days[d] = 'Active recovery/mobility – gentle stretching or yoga.';
-      } else {
-        days[d] = 'Rest day.';
-      }
+      if (!days[d]) days[d] = createSession(getWorkout('rest'), phase);
     }
-    weeksPlan.push({
+    const weekObj = {
       week: w + 1,
       phase,
       mileage: weeklyMiles[w].toFixed(1),
+      longRunShare: longRunShare(phase, w - phaseStart, phaseLength),
+      deload,
       days,
-    });
+    };
+    distributeWeekMileage(weekObj, profile.paceMinPerMile);
+    weeksPlan.push(weekObj);
   }
+  // Season races: the goal race plus A/B/C races along the way
+  const races = seasonRaces(data, startDate, weeksPlan.length);
+  applySeasonRaces(weeksPlan, races, profile.paceMinPerMile);
   return {
+    version: PLAN_RECORD_VERSION,
+    // Anchor week 1 to the upcoming Monday so later visits keep the same calendar
+    startDate: toIsoDate(startDate),
+    raceDate: data.raceDate,
+    generatedAt: today.toISOString(),
+    inputs: data,
     weeks: weeksPlan,
     phases: { baseWeeks, buildWeeks, specificWeeks, taperWeeks },
+    loadingPattern,
+    deloadWeeks,
     weeksToRace,
+    compressed,
+    profile,
+    races,
   };
 }
 
 // Render plan to table
-function renderPlan(plan) {
+function renderPlan(plan, logs) {
   const planTable = document.getElementById('planTable');
   const planSummary = document.getElementById('planSummary');
   // Clear previous contents
@@ -159,10 +497,27 @@ function renderPlan(plan) {
   planSummary.innerHTML = '';
   // Summary text
   planSummary.innerHTML = `<p>Total weeks: <strong>${plan.weeksToRace}</strong> &nbsp;|&nbsp; Phases → Base: ${plan.phases.baseWeeks} wk, Build: ${plan.phases.buildWeeks} wk, Specific: ${plan.phases.specificWeeks} wk, Taper: ${plan.phases.taperWeeks} wk</p>`;
+  // Loading pattern and the recovery weeks it places (older plans don't store them)
+  if (plan.loadingPattern) {
+    const deloads = plan.deloadWeeks || [];
+    const deloadText = deloads.length > 0 ? deloads.join(', ') : 'none';
+    planSummary.innerHTML += `<p>Loading pattern: <strong>${plan.loadingPattern}</strong> &nbsp;|&nbsp; Deload weeks: ${deloadText}</p>`;
+  }
+  // Short timelines get one week per phase and hold current volume
+  if (plan.compressed) {
+    planSummary.innerHTML += `<p class="compressed-note">Compressed plan: your race is only ${plan.weeksToRace} week${plan.weeksToRace === 1 ? '' : 's'} away, so each phase is shortened to at most a week and volume stays near your current level.</p>`;
+  }
+  // Season races with their priority
+  if (plan.races && plan.races.length > 0) {
+    const raceList = plan.races
+      .map((race) => `${escapeHtml(race.name)} <span class="race-tag race-${race.priority}">${race.priority}</span> ${race.date}`)
+      .join(' &nbsp;·&nbsp; ');
+    planSummary.innerHTML += `<p>Races: ${raceList}</p>`;
+  }
   // Table header
   const thead = document.createElement('thead');
   const headerRow = document.createElement('tr');
-  headerRow.innerHTML = `<th>Week</th><th>Phase</th><th>Weekly mileage</th>`;
+  headerRow.innerHTML = `<th>Week</th><th>Phase</th><th>Weekly distance</th><th>Actual</th>`;
   const daysOfWeek = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
   daysOfWeek.forEach((d) => {
     const th = document.createElement('th');
@@ -173,55 +528,118 @@ function renderPlan(plan) {
   planTable.appendChild(thead);
   // Table body
   const tbody = document.createElement('tbody');
-  // Compute start date (upcoming Monday) for progress comparison
-  const today = new Date();
-  const startDate = new Date(today);
-  const dow = startDate.getDay();
-  let diffToMon;
-  if (dow === 1) {
-    diffToMon = 0;
-  } else if (dow === 0) {
-    diffToMon = 1;
-  } else {
-    diffToMon = 8 - dow;
-  }
-  startDate.setDate(startDate.getDate() + diffToMon);
-  // Load logged entries from localStorage keyed by ISO date (YYYY-MM-DD)
-  let logsMapRender = {};
-  try {
-    const stored = JSON.parse(localStorage.getItem('ocrLogs') || '[]');
-    stored.forEach((entry) => {
-      if (entry.date) logsMapRender[entry.date] = entry;
-    });
-  } catch (err) {
-    logsMapRender = {};
-  }
-  // Helper to convert date to ISO string with hyphens
-  function toIsoHyphen(dateObj) {
-    const y = dateObj.getFullYear();
-    const m = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const d = String(dateObj.getDate()).padStart(2, '0');
-    return `${y}-${m}-${d}`;
-  }
+  // Distances are stored in miles and shown in the preferred unit
+  const unit = getDistanceUnit();
+  // Use the plan's anchored start date for progress comparison
+  const startDate = getPlanStartDate(plan);
+  // Load logged entries from localStorage, grouped by ISO date (YYYY-MM-DD)
+  const logsByDate = groupLogsByDate(logs || loadLogEntries());
+  // Thresholds for flagging actual weekly volume against the plan
+  const prefs = loadPreferences();
+  const todayIso = toIsoDate(new Date());
   plan.weeks.forEach((weekObj, wIndex) => {
     const tr = document.createElement('tr');
-    tr.innerHTML = `<td>${weekObj.week}</td><td>${weekObj.phase}</td><td>${weekObj.mileage} mi</td>`;
-    weekObj.days.forEach((cell, dIndex) => {
+    let phaseText = weekObj.deload ? `${weekObj.phase} <span class="deload-tag">Recovery</span>` : weekObj.phase;
+    if (weekObj.postRace) phaseText += ' <span class="deload-tag">Post-race recovery</span>';
+    (weekObj.races || []).forEach((race) => {
+      phaseText += ` <span class="race-tag race-${race.priority}" title="${escapeHtml(race.name)}">${race.priority} race</span>`;
+    });
+    if (weekObj.deload || weekObj.postRace) tr.classList.add('deload-week');
+    if (weekObj.races) tr.classList.add('race-week');
+    if (weekObj.adjustments && weekObj.adjustments.length > 0) tr.classList.add('adjusted-week');
+    // Mark weeks that are over, in progress or still to come
+    const weekStartIso = toIsoDate(planDayDate(startDate, wIndex, 0));
+    const weekEndIso = toIsoDate(planDayDate(startDate, wIndex, 6));
+    let weekStatus = 'upcoming';
+    if (weekEndIso < todayIso) weekStatus = 'past';
+    else if (weekStartIso <= todayIso) weekStatus = 'current';
+    tr.classList.add(`${weekStatus}-week`);
+    // Sum the run distance actually logged during this week
+    let actualMiles = 0;
+    for (let dIndex = 0; dIndex < 7; dIndex++) {
+      (logsByDate[toIsoDate(planDayDate(startDate, wIndex, dIndex))] || []).forEach((entry) => {
+        if (entry.type === 'run' && typeof entry.distanceMi === 'number') actualMiles += entry.distanceMi;
+      });
+    }
+    const plannedMiles = parseFloat(weekObj.mileage);
+    let actualHtml = '–';
+    if (weekStatus !== 'upcoming') {
+      const pct = plannedMiles > 0 ? Math.round((actualMiles / plannedMiles) * 100) : null;
+      actualHtml = formatDistance(actualMiles, unit);
+      if (pct !== null) actualHtml += ` <span class="volume-pct">(${pct}%)</span>`;
+      // Only finished weeks are flagged; the current week is still filling up
+      if (weekStatus === 'past' && pct !== null) {
+        if (pct < prefs.volumeUnderPct) tr.classList.add('volume-under');
+        else if (pct > prefs.volumeOverPct) tr.classList.add('volume-over');
+      }
+    }
+    tr.innerHTML = `<td>${weekObj.week}</td><td>${phaseText}</td><td>${formatDistance(plannedMiles, unit)}</td><td class="volume-actual">${actualHtml}</td>`;
+    weekObj.days.forEach((session, dIndex) => {
       const td = document.createElement('td');
+      td.classList.add(`session-${session.type}`);
+      if (session.racePriority) td.classList.add(`race-${session.racePriority}`);
       // Determine the actual date for this workout
-      const dayDate = new Date(startDate);
-      dayDate.setDate(startDate.getDate() + wIndex * 7 + dIndex);
-      const isoDate = toIsoHyphen(dayDate);
-      // If there's a log entry for this date, mark as completed
-      if (logsMapRender[isoDate]) {
+      const isoDate = toIsoDate(planDayDate(startDate, wIndex, dIndex));
+      // Only a logged session of the planned type marks the day as completed
+      const dayLogs = logsByDate[isoDate] || [];
+      const matched = matchingLogs(dayLogs, session);
+      if (matched.length > 0) {
         td.classList.add('completed');
-        td.textContent = `\u2714\u00a0${cell}`; // prepend checkmark and non-breaking space
+        td.textContent = `\u2714\u00a0${session.description}`; // prepend checkmark and non-breaking space
       } else {
-        td.textContent = cell;
+        td.textContent = session.description;
+      }
+      // Show the distance actually logged for a completed run
+      const loggedMiles = matched.reduce((sum, entry) => sum + (entry.distanceMi || 0), 0);
+      if (session.type === 'run' && loggedMiles > 0) {
+        const actual = document.createElement('span');
+        actual.className = 'session-actual';
+        actual.textContent = `Logged ${formatDistance(loggedMiles, unit)}`;
+        td.appendChild(actual);
+      }
+      // Mention other sessions logged that day
+      const otherLogs = dayLogs.filter((entry) => !matched.includes(entry));
+      if (otherLogs.length > 0) {
+        const extra = document.createElement('span');
+        extra.className = 'session-extra';
+        extra.textContent = `Also logged: ${otherLogs.map((entry) => entry.type).join(', ')}`;
+        td.appendChild(extra);
+      }
+      // Note sessions moved or dropped by the missed-session rescheduler
+      if (session.rescheduleNote) {
+        const note = document.createElement('span');
+        note.className = 'session-note';
+        note.textContent = session.rescheduleNote;
+        td.appendChild(note);
+        if (session.movedTo || session.dropped) td.classList.add('session-missed');
+      }
+      // Show the per-session distance target for runs
+      if (session.targetDistance) {
+        const target = document.createElement('span');
+        target.className = 'session-target';
+        target.textContent = `${formatDistance(session.targetDistance, unit)} · ~${session.targetDurationMin} min`;
+        td.appendChild(target);
       }
       tr.appendChild(td);
     });
     tbody.appendChild(tr);
+    // Explain any adaptation applied to this week directly beneath it
+    if (weekObj.adjustments && weekObj.adjustments.length > 0) {
+      const noteRow = document.createElement('tr');
+      noteRow.className = 'adjustment-row';
+      const noteTd = document.createElement('td');
+      noteTd.colSpan = 4 + weekObj.days.length;
+      const list = document.createElement('ul');
+      list.className = 'week-adjustments';
+      weekObj.adjustments.forEach((text) => {
+        const li = document.createElement('li');
+        li.textContent = text;
+        list.appendChild(li);
+      });
+      noteTd.appendChild(list);
+      noteRow.appendChild(noteTd);
+      tbody.appendChild(noteRow);
+    }
   });
   planTable.appendChild(tbody);
 }
@@ -261,11 +679,12 @@ function setupInfoIcons() {
   });
 }
 
-// Update the countdown to race day and display milestone suggestions
-function updateCountdown(raceDateStr) {
+// Update the countdown to race day and display milestone suggestions.
+// Other season races still to come are listed with their own countdowns.
+function updateCountdown(raceDateStr, races) {
   const container = document.getElementById('countdownContainer');
   if (!container || !raceDateStr) return;
-  const raceDate = new Date(raceDateStr);
+  const raceDate = parseIsoDate(raceDateStr) || new Date(raceDateStr);
   const today = new Date();
   const msPerDay = 1000 * 60 * 60 * 24;
   const diffDays = Math.max(0, Math.ceil((raceDate - today) / msPerDay));
@@ -303,117 +722,258 @@ function updateCountdown(raceDateStr) {
     html += `<li>${task}</li>`;
   });
   html += '</ul>';
+  const todayIso = toIsoDate(today);
+  const upcoming = (races || []).filter((race) => !race.main && race.date >= todayIso);
+  if (upcoming.length > 0) {
+    html += '<h3>Season races</h3><ul class="race-countdown">';
+    upcoming.forEach((race) => {
+      const days = Math.round((parseIsoDate(race.date) - parseIsoDate(todayIso)) / msPerDay);
+      html += `<li><span class="race-tag race-${race.priority}">${race.priority}</span> ${escapeHtml(race.name)} – ${race.date} (${days} day${days === 1 ? '' : 's'})</li>`;
+    });
+    html += '</ul>';
+  }
   container.innerHTML = html;
 }
 
-// Adapt plan based on logged progress (simple adaptive logic)
-// This function does not mutate the original plan; it assumes a fresh copy
-function adaptPlan(plan) {
-  if (!plan || !plan.weeks) return;
-  // Determine start date (upcoming Monday) same as in renderPlan
-  const today = new Date();
-  const startDate = new Date(today);
-  const dow = startDate.getDay();
-  let diffToMon;
-  if (dow === 1) {
-    diffToMon = 0;
-  } else if (dow === 0) {
-    diffToMon = 1;
-  } else {
-    diffToMon = 8 - dow;
-  }
-  startDate.setDate(startDate.getDate() + diffToMon);
-  // Load logs from localStorage and map by date
-  let logs = [];
-  try {
-    logs = JSON.parse(localStorage.getItem('ocrLogs') || '[]');
-  } catch (e) {
-    logs = [];
-  }
-  // Helper to get ISO date string with hyphens
-  function toIso(dateObj) {
-    const y = dateObj.getFullYear();
-    const m = String(dateObj.getMonth() + 1).padStart(2, '0');
-    const d = String(dateObj.getDate()).padStart(2, '0');
-    return `${y}-${m}-${d}`;
+// Number of upcoming weeks adaptation may change; later weeks keep the base plan
+const ADAPT_WINDOW_WEEKS = 3;
+// Largest mileage change adaptation applies to a single week
+const ADAPT_MAX_CHANGE = 0.15;
+// Days of logs used for the recent average RPE
+const ADAPT_RPE_DAYS = 10;
+// Mileage changes at least this large also swap a session in the first adapted week
+const ADAPT_SWAP_CHANGE = 0.08;
+
+// Decide how the plan should change from the logged signals. Returns the
+// direction, the size of the change (fraction of weekly mileage) for the
+// first adapted week and the reason behind it, or null when nothing changes.
+// The size grows with how far the strongest signal is outside its normal range.
+function adaptationSignal(completionRatio, recentRPE, load) {
+  const lighten = [];
+  if (recentRPE !== null && recentRPE >= 6) {
+    lighten.push({
+      change: (recentRPE - 5.5) * 0.05,
+      reason: `average RPE over last ${ADAPT_RPE_DAYS} days was ${recentRPE.toFixed(1)}`,
+    });
+  }
+  if (completionRatio < 0.5) {
+    lighten.push({
+      change: (0.7 - completionRatio) * 0.25,
+      reason: `only ${Math.round(completionRatio * 100)}% of planned sessions were completed`,
+    });
+  }
+  if (load.acwr !== null && load.acwr > ACWR_DANGER) {
+    lighten.push({
+      change: (load.acwr - ACWR_HIGH) * 0.2,
+      reason: `the acute:chronic load ratio is ${load.acwr.toFixed(2)}`,
+    });
+  }
+  if (load.monotony !== null && load.monotony > MONOTONY_HIGH) {
+    lighten.push({
+      change: 0.05 + (load.monotony - MONOTONY_HIGH) * 0.05,
+      reason: `training monotony over the last 7 days was ${load.monotony.toFixed(1)}`,
+    });
+  }
+  if (lighten.length > 0) {
+    // The strongest signal sets the size and is given as the reason
+    const strongest = lighten.reduce((a, b) => (b.change > a.change ? b : a));
+    return { mode: 'lighten', change: Math.min(strongest.change, ADAPT_MAX_CHANGE), reason: strongest.reason };
+  }
+  // Only add work while adherence is high, effort is easy and load is not already climbing quickly
+  if (completionRatio >= 0.8 && (recentRPE === null || recentRPE <= 4) && (load.acwr === null || load.acwr <= ACWR_HIGH)) {
+    let change = 0.03 + (completionRatio - 0.8) * 0.2;
+    let reason = `${Math.round(completionRatio * 100)}% of planned sessions were completed`;
+    if (recentRPE !== null) {
+      change += (4.5 - recentRPE) * 0.02;
+      reason += ` at an average RPE of ${recentRPE.toFixed(1)} over last ${ADAPT_RPE_DAYS} days`;
+    }
+    return { mode: 'intensify', change: Math.min(change, ADAPT_MAX_CHANGE / 1.5), reason };
   }
+  return null;
+}
+
+// Adapt plan based on logged progress. Changes are graduated: the first
+// upcoming week takes the full change and it fades over ADAPT_WINDOW_WEEKS.
+// Every change is recorded with its reason in weekObj.adjustments.
+// This function does not mutate the original plan; it assumes a fresh copy.
+// Logs default to the ones stored in this browser and today to the current date.
+function adaptPlan(plan, logEntries, today) {
+  if (!plan || !plan.weeks) return;
+  // Use the plan's anchored start date, same as in renderPlan
+  const startDate = getPlanStartDate(plan);
+  // Load logs from localStorage, grouped by date
+  const logs = logEntries || loadLogEntries();
+  const logsByDate = groupLogsByDate(logs);
   // Determine last logged week index and completion stats
   let lastLoggedWeekIndex = -1;
+  let plannedSessions = 0;
   let completedSessions = 0;
-  let totalDaysPassed = 0;
-  let totalRPE = 0;
+  let loggedSessions = 0;
+  let recentRPETotal = 0;
+  let recentRPECount = 0;
   const endDate = new Date(startDate);
   endDate.setDate(startDate.getDate() + plan.weeks.length * 7);
-  // Build a set of logged dates for quick lookup
-  const logMap = {};
-  logs.forEach((entry) => {
-    if (entry.date) {
-      logMap[entry.date] = entry;
-    }
-  });
   // Iterate through days from startDate until today to compute stats
-  const now = new Date();
+  const now = today || new Date();
+  const recentFrom = toIsoDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() - (ADAPT_RPE_DAYS - 1)));
   for (let d = new Date(startDate), i = 0; d <= now && d < endDate; i++, d.setDate(d.getDate() + 1)) {
-    const iso = toIso(d);
+    const iso = toIsoDate(d);
     // Determine week index based on days offset
     const weekIndex = Math.floor(i / 7);
-    if (logMap[iso]) {
-      completedSessions++;
-      // convert rpe to number if provided
-      const rpeNum = parseFloat(logMap[iso].rpe);
-      if (!isNaN(rpeNum)) {
-        totalRPE += rpeNum;
+    const session = plan.weeks[weekIndex].days[i % 7];
+    const dayLogs = logsByDate[iso] || [];
+    // Adherence counts planned training sessions completed by a log of the same type
+    if (session.type !== 'rest') {
+      plannedSessions++;
+      if (matchingLogs(dayLogs, session).length > 0) completedSessions++;
+    }
+    dayLogs.forEach((entry) => {
+      loggedSessions++;
+      // Effort is judged on the most recent days only
+      const rpeNum = parseFloat(entry.rpe);
+      if (!isNaN(rpeNum) && iso >= recentFrom) {
+        recentRPETotal += rpeNum;
+        recentRPECount++;
       }
       if (weekIndex > lastLoggedWeekIndex) lastLoggedWeekIndex = weekIndex;
-    }
-    totalDaysPassed++;
+    });
   }
-  if (totalDaysPassed === 0 || completedSessions === 0) {
+  if (plannedSessions === 0 || loggedSessions === 0) {
     return; // nothing to adapt yet
   }
-  const completionRatio = completedSessions / totalDaysPassed;
-  const avgRPE = totalRPE / completedSessions;
-  // Determine adaptation mode: lighten, intensify, or none
-  let mode = 'none';
-  if (completionRatio < 0.5 || avgRPE >= 6) {
-    mode = 'lighten';
-  } else if (completionRatio >= 0.8 && avgRPE <= 4) {
-    mode = 'intensify';
-  }
-  if (mode === 'none') return;
-  // Adapt upcoming weeks (those after lastLoggedWeekIndex)
-  for (let w = 0; w < plan.weeks.length; w++) {
-    if (w > lastLoggedWeekIndex) {
-      const weekObj = plan.weeks[w];
-      // Adjust mileage by ±10%
-      const mileageNum = parseFloat(weekObj.mileage);
-      if (!isNaN(mileageNum)) {
-        const factor = mode === 'lighten' ? 0.9 : 1.1;
-        weekObj.mileage = (mileageNum * factor).toFixed(1);
-      }
-      // Modify one workout in this week
-      let modified = false;
-      for (let d = 0; d < weekObj.days.length; d++) {
-        const desc = weekObj.days[d];
-        if (mode === 'lighten') {
-          // Find first hard or tempo or race-specific run and soften to recovery
-          if (/Interval|Tempo|race‑specific|short/i.test(desc) && !modified) {
-            weekObj.days[d] = 'Active recovery/mobility – gentle stretching or yoga.';
-            modified = true;
-          }
-        } else if (mode === 'intensify') {
-          // Find first easy or recovery day and make it a hard session
-          if (/Easy run|Active recovery|Rest day|mobility/i.test(desc) && !modified) {
-            weekObj.days[d] = 'Interval or hill session – short bursts at RPE 6–7 with recovery jogs.';
-            modified = true;
-          }
+  const completionRatio = completedSessions / plannedSessions;
+  const recentRPE = recentRPECount > 0 ? recentRPETotal / recentRPECount : null;
+  const signal = adaptationSignal(completionRatio, recentRPE, computeLoadMetrics(logs, now));
+  if (!signal) return;
+  // Days the athlete trains on (all days when none were ticked)
+  const chosenWeekdays = ((plan.inputs && plan.inputs.trainingWeekdays) || []).map((d) => parseInt(d, 10));
+  const trainingWeekdays = chosenWeekdays.length > 0 ? chosenWeekdays : [0, 1, 2, 3, 4, 5, 6];
+  // Session on a day offset from week w, crossing into the neighbouring weeks
+  const sessionNear = (w, dIndex) => {
+    const week = plan.weeks[w + Math.floor(dIndex / 7)];
+    return week ? week.days[((dIndex % 7) + 7) % 7] : null;
+  };
+  // Days the generator keeps apart: races, key sessions, strength and the long run
+  const isHardSession = (session) =>
+    Boolean(session) &&
+    (session.type === 'race' || session.type === 'strength' || session.workoutId === 'long-run' || isKeySession(session));
+  // Adapt the next few weeks after the current one (or after the last logged
+  // week, if logs run ahead of today), fading the change out. Anchoring to today
+  // keeps changes off weeks that are already over when logging has stopped.
+  let currentWeekIndex = planWeekIndex(plan, now);
+  if (currentWeekIndex < 0 && now >= endDate) currentWeekIndex = plan.weeks.length - 1;
+  const firstWeek = Math.max(lastLoggedWeekIndex, currentWeekIndex) + 1;
+  for (let w = firstWeek; w < Math.min(firstWeek + ADAPT_WINDOW_WEEKS, plan.weeks.length); w++) {
+    const weekObj = plan.weeks[w];
+    // Recovery weeks and the weeks around races are never intensified
+    if (signal.mode === 'intensify' && (weekObj.deload || weekObj.postRace || weekObj.raceTaper || weekObj.races)) continue;
+    const weight = 1 - (w - firstWeek) / ADAPT_WINDOW_WEEKS;
+    const pct = Math.round(signal.change * weight * 100);
+    if (pct < 1) continue;
+    weekObj.adjustments = weekObj.adjustments || [];
+    const mileageNum = parseFloat(weekObj.mileage);
+    if (!isNaN(mileageNum)) {
+      const factor = signal.mode === 'lighten' ? 1 - pct / 100 : 1 + pct / 100;
+      weekObj.mileage = (mileageNum * factor).toFixed(1);
+      weekObj.adjustments.push(
+        `Week ${weekObj.week} mileage ${signal.mode === 'lighten' ? 'reduced' : 'increased'} ${pct}% because ${signal.reason}.`
+      );
+    }
+    // Large changes also swap one workout in the first adapted week
+    if (w === firstWeek && signal.change >= ADAPT_SWAP_CHANGE) {
+      const index = weekObj.days.findIndex((session, dIndex) => {
+        if (signal.mode === 'lighten') {
+          // Find first hard run and soften to recovery
+          return session.type === 'run' && session.intensity === 'hard';
         }
+        // Find first easy run or recovery day on a day the athlete trains, away
+        // from other hard days, and make it a hard session
+        return (
+          ((session.type === 'run' && session.intensity === 'easy' && session.workoutId !== 'long-run') ||
+            session.type === 'mobility' ||
+            session.type === 'rest') &&
+          trainingWeekdays.includes(dIndex) &&
+          !isHardSession(sessionNear(w, dIndex - 1)) &&
+          !isHardSession(sessionNear(w, dIndex + 1))
+        );
+      });
+      if (index > -1) {
+        const replacement = signal.mode === 'lighten' ? getWorkout('mobility') : getWorkout('intervals');
+        weekObj.adjustments.push(
+          `Week ${weekObj.week} ${DAY_NAMES[index]}: ${weekObj.days[index].title} replaced with ${replacement.title.toLowerCase()} because ${signal.reason}.`
+        );
+        weekObj.days[index] = createSession(replacement, weekObj.phase);
       }
     }
+    // Re-split the adjusted mileage across the week's runs
+    distributeWeekMileage(weekObj, (plan.profile && plan.profile.paceMinPerMile) || 10);
   }
 }
 
+// Move key sessions missed earlier in the current week to a later day of the
+// same week. A day can take the session if it is still to come, is not a rest
+// day, a race or another key session, and neither neighbour is a hard day. The long
+// run is placed first, then hard runs, then obstacle strength. Sessions that
+// cannot be placed are dropped with a note.
+// Like adaptPlan, this works on the adaptive copy of the plan.
+function rescheduleMissedSessions(plan, today, logs) {
+  if (!plan || !plan.weeks) return;
+  const now = today || new Date();
+  const wIndex = planWeekIndex(plan, now);
+  if (wIndex < 0) return;
+  const startDate = getPlanStartDate(plan);
+  const logsByDate = groupLogsByDate(logs || loadLogEntries());
+  const todayIso = toIsoDate(now);
+  const weekObj = plan.weeks[wIndex];
+  const dayIso = (dIndex) => toIsoDate(planDayDate(startDate, wIndex, dIndex));
+  const isDone = (dIndex) => matchingLogs(logsByDate[dayIso(dIndex)], weekObj.days[dIndex]).length > 0;
+  // Key sessions on earlier days of this week without a matching log
+  const missed = [];
+  weekObj.days.forEach((session, dIndex) => {
+    if (dayIso(dIndex) < todayIso && isKeySession(session) && !isDone(dIndex)) missed.push(dIndex);
+  });
+  if (missed.length === 0) return;
+  const priority = (session) => (session.workoutId === 'long-run' ? 0 : session.type === 'run' ? 1 : 2);
+  missed.sort((a, b) => priority(weekObj.days[a]) - priority(weekObj.days[b]) || a - b);
+  // Session planned on a day offset from this week, crossing into the neighbouring weeks
+  const sessionAt = (dIndex) => {
+    const week = plan.weeks[wIndex + Math.floor(dIndex / 7)];
+    return week ? week.days[((dIndex % 7) + 7) % 7] : null;
+  };
+  // A missed session was not trained, so it does not make its day hard
+  const isHardDay = (dIndex) => {
+    if (dIndex >= 0 && dIndex < 7 && missed.includes(dIndex)) return false;
+    const session = sessionAt(dIndex);
+    return Boolean(session) && (session.type === 'race' || isKeySession(session));
+  };
+  weekObj.adjustments = weekObj.adjustments || [];
+  missed.forEach((fromIndex) => {
+    const session = weekObj.days[fromIndex];
+    const free = [];
+    for (let d = fromIndex + 1; d < 7; d++) {
+      const target = weekObj.days[d];
+      if (dayIso(d) < todayIso || target.type === 'rest' || target.type === 'race' || isKeySession(target) || isDone(d)) continue;
+      free.push(d);
+    }
+    const toIndex = free.find((d) => !isHardDay(d - 1) && !isHardDay(d + 1));
+    if (toIndex === undefined) {
+      const why = free.length === 0 ? 'no training day is left this week' : 'every free day left this week is next to a hard day';
+      weekObj.days[fromIndex] = { ...session, dropped: true, rescheduleNote: 'Missed – dropped' };
+      weekObj.adjustments.push(`Week ${weekObj.week}: missed ${session.title.toLowerCase()} on ${DAY_NAMES[fromIndex]} dropped because ${why}.`);
+      return;
+    }
+    weekObj.days[toIndex] = { ...session, movedFrom: DAY_NAMES[fromIndex], rescheduleNote: `Moved from ${DAY_NAMES[fromIndex]}` };
+    weekObj.days[fromIndex] = { ...session, movedTo: DAY_NAMES[toIndex], rescheduleNote: `Missed – moved to ${DAY_NAMES[toIndex]}` };
+    weekObj.adjustments.push(
+      `Week ${weekObj.week}: missed ${session.title.toLowerCase()} moved from ${DAY_NAMES[fromIndex]} to ${DAY_NAMES[toIndex]}.`
+    );
+  });
+}
+
 // Helper functions for calendar generation
+// RFC 5545 limits content lines to 75 octets, excluding the line break
+const ICS_LINE_OCTETS = 75;
+
 // Format a Date object as YYYYMMDD for iCalendar all-day events
 function formatICSDate(date) {
   const year = date.getFullYear();
@@ -422,6 +982,13 @@ function formatICSDate(date) {
   return `${year}${month}${day}`;
 }
 
+// Format a date and an "HH:MM" time as a floating local YYYYMMDDTHHMMSS, so
+// events stay at the chosen time in whatever time zone the athlete is in
+function formatICSDateTime(date, time) {
+  const [hours, minutes] = time.split(':');
+  return `${formatICSDate(date)}T${hours.padStart(2, '0')}${minutes.padStart(2, '0')}00`;
+}
+
 // Format a Date object as UTC timestamp YYYYMMDDTHHMMSSZ
 function formatUTCStamp(date) {
   const y = date.getUTCFullYear();
@@ -433,6 +1000,13 @@ function formatUTCStamp(date) {
   return `${y}${m}${d}T${hh}${mm}${ss}Z`;
 }
 
+// Format minutes as an iCalendar duration, e.g. PT1H30M
+function formatICSDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return `PT${hours > 0 ? `${hours}H` : ''}${rest > 0 || hours === 0 ? `${rest}M` : ''}`;
+}
+
 // Escape special characters in iCalendar text fields
 function escapeICSText(text) {
   return String(text)
@@ -443,83 +1017,144 @@ function escapeICSText(text) {
     .replace(/;/g, '\\;');
 }
 
-// Generate and trigger download of an .ics calendar file from a plan
+// Fold a content line into chunks of at most 75 octets; continuation lines
+// start with a space. Multi-byte characters are never split.
+function foldICSLine(line) {
+  const chunks = [];
+  let chunk = '';
+  let octets = 0;
+  for (const ch of line) {
+    // UTF-8 length of the character
+    const code = ch.codePointAt(0);
+    const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+    // Continuation lines lose one octet to the leading space
+    const limit = chunks.length === 0 ? ICS_LINE_OCTETS : ICS_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      chunks.push(chunk);
+      chunk = '';
+      octets = 0;
+    }
+    chunk += ch;
+    octets += size;
+  }
+  chunks.push(chunk);
+  return chunks.join('\r\n ');
+}
+
+// Short hash of a string (djb2), used to notice when an exported event changed
+function hashText(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+}
+
+// Stable UID of the active profile's session planned on an ISO date. The plan
+// holds one session per day, so re-exporting after the plan changes updates the
+// same events, while athletes sharing a calendar account keep separate events.
+// The default profile keeps the UIDs exported before profiles existed.
+function calendarEventUid(isoDate) {
+  const profileId = loadProfiles().activeId;
+  const suffix = profileId === DEFAULT_PROFILE_ID ? '' : `-${profileId}`;
+  return `session-${isoDate}${suffix}@ocrplanner`;
+}
+
+// Generate and trigger download of an .ics calendar file from a plan. Sessions
+// start at the preferred time and last their target duration (or the default
+// length), with a reminder before each one. Events keep their UIDs between
+// exports and their SEQUENCE goes up whenever their content changes, so
+// importing the file again updates the calendar instead of duplicating it.
 function downloadCalendar(plan) {
   if (!plan || !plan.weeks) return;
-  // Determine start date: next Monday (or today if today is Monday)
-  const today = new Date();
-  const startDate = new Date(today);
-  const dayOfWeek = startDate.getDay(); // 0=Sun,1=Mon,...
-  let diffToMonday;
-  if (dayOfWeek === 1) {
-    diffToMonday = 0;
-  } else if (dayOfWeek === 0) {
-    diffToMonday = 1;
-  } else {
-    diffToMonday = 8 - dayOfWeek;
-  }
-  startDate.setDate(startDate.getDate() + diffToMonday);
-  // Load logged progress from localStorage, keyed by ISO date (YYYY-MM-DD)
-  let logsMap = {};
-  try {
-    const stored = JSON.parse(localStorage.getItem('ocrLogs') || '[]');
-    stored.forEach((entry) => {
-      if (entry.date) logsMap[entry.date] = entry;
-    });
-  } catch (e) {
-    logsMap = {};
-  }
+  // Events start on the plan's anchored start date
+  const startDate = getPlanStartDate(plan);
+  const unit = getDistanceUnit();
+  const prefs = loadPreferences();
+  const timed = /^\d{1,2}:\d{2}$/.test(prefs.calendarTime || '');
+  const exported = loadCalendarEvents();
+  const stamp = formatUTCStamp(new Date());
+  // Load logged progress from localStorage, grouped by ISO date (YYYY-MM-DD)
+  const logsByDate = groupLogsByDate(loadLogEntries());
   // Build the lines of the .ics file
   const lines = [];
   lines.push('BEGIN:VCALENDAR');
   lines.push('VERSION:2.0');
   lines.push('PRODID:-//OCR Planner//EN');
-  let uidCounter = 1;
+  lines.push('CALSCALE:GREGORIAN');
+  lines.push('METHOD:PUBLISH');
+  lines.push('X-WR-CALNAME:OCR training plan');
   // Iterate through each week and day
   plan.weeks.forEach((weekObj, wIndex) => {
-    weekObj.days.forEach((desc, dIndex) => {
-      const eventDate = new Date(startDate);
-      eventDate.setDate(startDate.getDate() + wIndex * 7 + dIndex);
-      const dtStart = formatICSDate(eventDate);
-      const dtEndDate = new Date(eventDate);
-      dtEndDate.setDate(eventDate.getDate() + 1);
-      const dtEnd = formatICSDate(dtEndDate);
-      // Use the first sentence as summary if possible
-      let summary = desc;
-      const dashIdx = desc.indexOf('–');
-      if (dashIdx > -1) {
-        summary = desc.substring(0, dashIdx).trim();
-      }
-      // If summary is empty (e.g., rest day), use a generic summary
-      if (!summary) {
-        summary = desc;
+    weekObj.days.forEach((session, dIndex) => {
+      const isRest = session.type === 'rest';
+      if (isRest && prefs.calendarSkipRest) return;
+      const eventDate = planDayDate(startDate, wIndex, dIndex);
+      const isoDate = toIsoDate(eventDate);
+      // Use the session title as summary (noting any rescheduling) and describe the targets
+      const summary = session.rescheduleNote ? `${session.title} (${session.rescheduleNote})` : session.title;
+      let targetText = '';
+      if (session.targetDistance) {
+        const distanceText = formatDistance(session.targetDistance, unit);
+        targetText = `Target: ${distanceText} (~${session.targetDurationMin} min) at RPE ${session.targetRpe.join('–')}`;
+      } else if (session.targetDurationMin > 0) {
+        targetText = `Target: ${session.targetDurationMin} min at RPE ${session.targetRpe.join('–')}`;
       }
       // Determine status based on logged workouts
-      const isoDate = `${dtStart.slice(0,4)}-${dtStart.slice(4,6)}-${dtStart.slice(6,8)}`;
       let statusText = 'Status: not completed';
       let notesText = '';
-      if (logsMap[isoDate]) {
+      const matched = matchingLogs(logsByDate[isoDate], session);
+      if (matched.length > 0) {
         statusText = 'Status: completed';
-        if (logsMap[isoDate].notes) {
-          notesText = `\\nNotes: ${escapeICSText(logsMap[isoDate].notes)}`;
+        const notes = matched.map((entry) => entry.notes).filter(Boolean);
+        if (notes.length > 0) {
+          notesText = `\\nNotes: ${escapeICSText(notes.join(' / '))}`;
         }
       }
+      // Rest days stay all-day and free; training sessions are timed with a reminder
+      const body = [];
+      if (timed && !isRest) {
+        const minutes = session.targetDurationMin > 0 ? session.targetDurationMin : prefs.calendarDurationMin;
+        body.push(`DTSTART:${formatICSDateTime(eventDate, prefs.calendarTime)}`);
+        body.push(`DURATION:${formatICSDuration(Math.max(Math.round(minutes), 1))}`);
+      } else {
+        const dtEndDate = new Date(eventDate);
+        dtEndDate.setDate(eventDate.getDate() + 1);
+        body.push(`DTSTART;VALUE=DATE:${formatICSDate(eventDate)}`);
+        body.push(`DTEND;VALUE=DATE:${formatICSDate(dtEndDate)}`);
+        body.push('TRANSP:TRANSPARENT');
+      }
+      body.push(`SUMMARY:${escapeICSText(summary)}`);
+      // Include the workout description, targets and status/notes in the event description
+      const descParts = [escapeICSText(session.description)];
+      if (targetText) descParts.push(escapeICSText(targetText));
+      descParts.push(escapeICSText(statusText));
+      body.push(`DESCRIPTION:${descParts.join('\\n')}${notesText}`);
+      if (timed && !isRest && prefs.calendarReminderMin > 0) {
+        body.push('BEGIN:VALARM');
+        body.push('ACTION:DISPLAY');
+        body.push(`DESCRIPTION:${escapeICSText(summary)}`);
+        body.push(`TRIGGER:-${formatICSDuration(prefs.calendarReminderMin)}`);
+        body.push('END:VALARM');
+      }
+      // Bump the sequence only when the event differs from the last export
+      const uid = calendarEventUid(isoDate);
+      const hash = hashText(body.join('\n'));
+      const previous = exported[uid];
+      let sequence = 0;
+      if (previous) sequence = previous.hash === hash ? previous.sequence : previous.sequence + 1;
+      exported[uid] = { hash, sequence };
       lines.push('BEGIN:VEVENT');
-      lines.push(`UID:plan-${uidCounter}@ocrplanner`);
-      lines.push(`DTSTAMP:${formatUTCStamp(new Date())}`);
-      lines.push(`DTSTART;VALUE=DATE:${dtStart}`);
-      lines.push(`DTEND;VALUE=DATE:${dtEnd}`);
-      lines.push(`SUMMARY:${escapeICSText(summary)}`);
-      // Include the workout description and status/notes in the event description
-      lines.push(
-        `DESCRIPTION:${escapeICSText(desc)}\\n${escapeICSText(statusText)}${notesText}`
-      );
+      lines.push(`UID:${uid}`);
+      lines.push(`DTSTAMP:${stamp}`);
+      lines.push(`SEQUENCE:${sequence}`);
+      body.forEach((line) => lines.push(line));
       lines.push('END:VEVENT');
-      uidCounter++;
     });
   });
   lines.push('END:VCALENDAR');
-  const blob = new Blob([lines.join('\r\n')], { type: 'text/calendar' });
+  saveCalendarEvents(exported);
+  const blob = new Blob([lines.map(foldICSLine).join('\r\n') + '\r\n'], { type: 'text/calendar' });
   const url = URL.createObjectURL(blob);
   const link = document.createElement('a');
   link.href = url;
@@ -536,7 +1171,204 @@ document.addEventListener('DOMContentLoaded', () => {
   const planOutput = document.getElementById('planOutput');
   const backBtn = document.getElementById('backBtn');
   const calendarBtn = document.getElementById('calendarBtn');
+  const unitSelect = document.getElementById('unitSelect');
+  const seasonRaceList = document.getElementById('seasonRaceList');
+  const addRaceBtn = document.getElementById('addRaceBtn');
+  const shareBanner = document.getElementById('shareBanner');
   let currentPlan = null;
+  // Logs of a plan opened from a share link; null when showing this browser's data
+  let sharedLogs = null;
+
+  // Add an editable row for another race in the season
+  function addSeasonRaceRow(race) {
+    if (!seasonRaceList) return;
+    const row = document.createElement('div');
+    row.className = 'season-race';
+    row.innerHTML = `
+      <input type="text" class="race-name" placeholder="Race name" aria-label="Race name" />
+      <input type="date" class="race-date" aria-label="Race date" />
+      <select class="race-priority" aria-label="Race priority">
+        <option value="A">A – full taper</option>
+        <option value="B">B – mini-taper</option>
+        <option value="C">C – train through</option>
+      </select>
+      <button type="button" class="secondary-btn remove-race">Remove</button>`;
+    row.querySelector('.race-name').value = (race && race.name) || '';
+    row.querySelector('.race-date').value = (race && race.date) || '';
+    row.querySelector('.race-priority').value = (race && race.priority) || 'B';
+    row.querySelector('.remove-race').addEventListener('click', () => row.remove());
+    seasonRaceList.appendChild(row);
+  }
+
+  // Show validation messages next to the fields they belong to, clearing old ones.
+  // Checkbox groups and the season race list show theirs under the group.
+  function showFieldErrors(errors) {
+    if (!form) return;
+    form.querySelectorAll('.field-error').forEach((el) => el.remove());
+    form.querySelectorAll('[aria-invalid]').forEach((el) => el.removeAttribute('aria-invalid'));
+    let first = null;
+    Object.keys(errors).forEach((name) => {
+      let container;
+      let field;
+      if (name === 'races') {
+        container = form.querySelector('.season-races');
+        field = container && container.querySelector('input');
+      } else {
+        field = form.elements.namedItem(name);
+        if (field && typeof field.length === 'number' && !field.tagName) field = field[0];
+        container = field && (field.closest('.checkbox-group') || field.closest('label'));
+      }
+      if (!container) return;
+      if (field) field.setAttribute('aria-invalid', 'true');
+      const message = document.createElement('span');
+      message.className = 'field-error';
+      message.setAttribute('role', 'alert');
+      message.textContent = errors[name];
+      container.appendChild(message);
+      if (!first) first = field || container;
+    });
+    if (first && first.focus) first.focus();
+  }
+
+  // Season races entered in the form; rows without a date are ignored
+  function readSeasonRaces() {
+    if (!seasonRaceList) return [];
+    return Array.from(seasonRaceList.querySelectorAll('.season-race'))
+      .map((row) => ({
+        name: row.querySelector('.race-name').value.trim(),
+        date: row.querySelector('.race-date').value,
+        priority: row.querySelector('.race-priority').value,
+      }))
+      .filter((race) => race.date);
+  }
+
+  // Adapt a copy of the base plan to the current logs and display it
+  function showPlan(basePlan) {
+    window.basePlan = basePlan;
+    // Save race date globally
+    window.raceDate = basePlan.raceDate;
+    // Create an adaptive copy based on logs
+    const adaptiveCopy = JSON.parse(JSON.stringify(basePlan));
+    const today = new Date();
+    adaptPlan(adaptiveCopy, sharedLogs, today);
+    rescheduleMissedSessions(adaptiveCopy, today, sharedLogs);
+    currentPlan = adaptiveCopy;
+    // Expose plan globally so it can be re-rendered when logs change
+    window.currentPlan = adaptiveCopy;
+    // Render plan
+    renderPlan(adaptiveCopy, sharedLogs);
+    // Update countdown display
+    updateCountdown(window.raceDate, basePlan.races);
+  }
+
+  // Pre-fill the form with the inputs a stored plan was generated from
+  function fillForm(inputs) {
+    if (!form || !inputs) return;
+    Array.from(form.elements).forEach((field) => {
+      if (!field.name || !(field.name in inputs)) return;
+      let value = inputs[field.name];
+      // Stored mileage is in miles; show it in the preferred unit
+      if (field.name === 'runningMileage' && value !== '') {
+        value = Math.round(milesToUnit(parseFloat(value), getDistanceUnit()) * 10) / 10;
+      }
+      if (field.type === 'checkbox') {
+        field.checked = Array.isArray(value) && value.includes(field.value);
+      } else {
+        field.value = value;
+      }
+    });
+    if (seasonRaceList) {
+      seasonRaceList.innerHTML = '';
+      (inputs.races || []).forEach(addSeasonRaceRow);
+    }
+  }
+
+  // Show the preferred distance unit next to distance inputs
+  function updateUnitLabels() {
+    const unit = getDistanceUnit();
+    document.querySelectorAll('.unit-label').forEach((label) => {
+      label.textContent = unit;
+    });
+  }
+
+  if (unitSelect) {
+    unitSelect.value = getDistanceUnit();
+    unitSelect.addEventListener('change', () => {
+      const previousUnit = getDistanceUnit();
+      savePreferences({ distanceUnit: unitSelect.value });
+      // Keep a typed mileage meaning the same distance in the new unit
+      const mileageField = form && form.elements.namedItem('runningMileage');
+      if (mileageField && mileageField.value !== '') {
+        const miles = unitToMiles(parseFloat(mileageField.value), previousUnit);
+        mileageField.value = Math.round(milesToUnit(miles, getDistanceUnit()) * 10) / 10;
+      }
+      updateUnitLabels();
+      if (window.basePlan && !planOutput.hidden) {
+        showPlan(window.basePlan);
+      }
+    });
+  }
+  updateUnitLabels();
+
+  // Configurable thresholds for flagging actual vs. planned weekly volume
+  const volumeUnderInput = document.getElementById('volumeUnderInput');
+  const volumeOverInput = document.getElementById('volumeOverInput');
+  if (volumeUnderInput && volumeOverInput) {
+    const prefs = loadPreferences();
+    volumeUnderInput.value = prefs.volumeUnderPct;
+    volumeOverInput.value = prefs.volumeOverPct;
+    [volumeUnderInput, volumeOverInput].forEach((input) => {
+      input.addEventListener('change', () => {
+        const under = parseFloat(volumeUnderInput.value);
+        const over = parseFloat(volumeOverInput.value);
+        // A pair that would flag every week as both under and over is not saved
+        const thresholds = volumeUnderInput.closest('.volume-thresholds');
+        thresholds.querySelectorAll('.field-error').forEach((el) => el.remove());
+        const error = validateVolumeThresholds(under, over);
+        [volumeUnderInput, volumeOverInput].forEach((el) =>
+          error ? el.setAttribute('aria-invalid', 'true') : el.removeAttribute('aria-invalid')
+        );
+        if (error) {
+          const message = document.createElement('span');
+          message.className = 'field-error';
+          message.setAttribute('role', 'alert');
+          message.textContent = error;
+          thresholds.appendChild(message);
+          return;
+        }
+        savePreferences({ volumeUnderPct: under, volumeOverPct: over });
+        if (window.basePlan) showPlan(window.basePlan);
+      });
+    });
+  }
+
+  // Time, length, reminder and rest-day options for the calendar export
+  const calendarTimeInput = document.getElementById('calendarTimeInput');
+  const calendarDurationInput = document.getElementById('calendarDurationInput');
+  const calendarReminderSelect = document.getElementById('calendarReminderSelect');
+  const calendarSkipRestInput = document.getElementById('calendarSkipRestInput');
+  if (calendarTimeInput && calendarDurationInput && calendarReminderSelect && calendarSkipRestInput) {
+    const prefs = loadPreferences();
+    calendarTimeInput.value = prefs.calendarTime;
+    calendarDurationInput.value = prefs.calendarDurationMin;
+    calendarReminderSelect.value = String(prefs.calendarReminderMin);
+    calendarSkipRestInput.checked = prefs.calendarSkipRest;
+    [calendarTimeInput, calendarDurationInput, calendarReminderSelect, calendarSkipRestInput].forEach((input) => {
+      input.addEventListener('change', () => {
+        const duration = parseInt(calendarDurationInput.value, 10);
+        const changes = {
+          calendarTime: calendarTimeInput.value,
+          calendarDurationMin: duration > 0 ? duration : DEFAULT_PREFERENCES.calendarDurationMin,
+          calendarReminderMin: parseInt(calendarReminderSelect.value, 10) || 0,
+          calendarSkipRest: calendarSkipRestInput.checked,
+        };
+        // Incomplete times and out-of-range lengths keep the saved options
+        if (validateCalendarPreferences(changes).length > 0) return;
+        savePreferences(changes);
+      });
+    });
+  }
+
   if (form) {
     form.addEventListener('submit', (e) => {
       e.preventDefault();
@@ -544,40 +1376,59 @@ document.addEventListener('DOMContentLoaded', () => {
       const formData = new FormData(form);
       const data = {};
       formData.forEach((value, key) => {
-        if (key === 'equipment' || key === 'goals') {
+        if (key === 'equipment' || key === 'goals' || key === 'trainingWeekdays') {
           if (!data[key]) data[key] = [];
           data[key].push(value);
         } else {
           data[key] = value;
         }
       });
+      data.races = readSeasonRaces();
+      // Check the inputs and point out problems next to the fields
+      const errors = validatePlanInputs(data);
+      showFieldErrors(errors);
+      if (Object.keys(errors).length > 0) return;
+      // Store mileage in miles regardless of the unit it was typed in
+      if (data.runningMileage !== '') {
+        const miles = unitToMiles(parseFloat(data.runningMileage), getDistanceUnit());
+        data.runningMileage = String(Math.round(miles * 10) / 10);
+      }
       // Generate plan
       const plan = generatePlan(data);
       // Preserve a base copy for future adaptive recalculations
       const baseCopy = JSON.parse(JSON.stringify(plan));
-      // Store base plan in localStorage so the review page can access it
-      try {
-        localStorage.setItem('ocrBasePlan', JSON.stringify(baseCopy));
-      } catch (e) {
-        console.warn('Unable to save base plan to localStorage', e);
-      }
-      window.basePlan = baseCopy;
-      // Save race date globally
-      window.raceDate = data.raceDate;
-      // Create an adaptive copy based on logs
-      const adaptiveCopy = JSON.parse(JSON.stringify(baseCopy));
-      adaptPlan(adaptiveCopy);
-      currentPlan = adaptiveCopy;
-      // Expose plan globally so it can be re-rendered when logs change
-      window.currentPlan = adaptiveCopy;
-      // Render plan
-      renderPlan(adaptiveCopy);
-      // Update countdown display
-      updateCountdown(window.raceDate);
+      // Store the plan record in localStorage so the other pages can access it
+      savePlanRecord(baseCopy);
+      showPlan(baseCopy);
       // Hide form and show output
       form.style.display = 'none';
       planOutput.hidden = false;
     });
+
+    // A share link shows the shared plan read-only instead of the local one
+    const { shared, error } = parseShareFragment(window.location.hash);
+    if (error && shareBanner) {
+      shareBanner.hidden = false;
+      shareBanner.innerHTML = `<p class="share-error">${escapeHtml(error)}</p>`;
+    }
+    // Restore a previously generated plan so its weeks stay anchored
+    const storedPlan = loadPlanRecord();
+    if (shared) {
+      sharedLogs = shared.logs;
+      if (shareBanner) renderShareBanner(shareBanner, shared);
+      planOutput.classList.add('shared-view');
+      showPlan(shared.plan);
+      form.style.display = 'none';
+      planOutput.hidden = false;
+    } else if (storedPlan) {
+      fillForm(storedPlan.inputs);
+      showPlan(storedPlan);
+      form.style.display = 'none';
+      planOutput.hidden = false;
+    }
+  }
+  if (addRaceBtn) {
+    addRaceBtn.addEventListener('click', () => addSeasonRaceRow());
   }
   if (calendarBtn) {
     calendarBtn.addEventListener('click', () => {
@@ -586,6 +1437,32 @@ document.addEventListener('DOMContentLoaded', () => {
       }
     });
   }
+  // Share links for the plan, optionally with a snapshot of the logged workouts
+  const shareBtn = document.getElementById('shareBtn');
+  const sharePanel = document.getElementById('sharePanel');
+  const shareIncludeLogs = document.getElementById('shareIncludeLogs');
+  const sharePlanLink = document.getElementById('sharePlanLink');
+  const shareReviewLink = document.getElementById('shareReviewLink');
+  function updateShareLinks() {
+    const plan = loadPlanRecord();
+    if (!plan) return;
+    const logs = shareIncludeLogs && shareIncludeLogs.checked ? loadLogEntries() : null;
+    sharePlanLink.value = createShareLink('planner.html', plan, logs);
+    shareReviewLink.value = createShareLink('review.html', plan, logs);
+  }
+  if (shareBtn && sharePanel && sharePlanLink && shareReviewLink) {
+    shareBtn.addEventListener('click', () => {
+      sharePanel.hidden = !sharePanel.hidden;
+      if (!sharePanel.hidden) {
+        updateShareLinks();
+        sharePlanLink.select();
+      }
+    });
+    if (shareIncludeLogs) shareIncludeLogs.addEventListener('change', updateShareLinks);
+    [sharePlanLink, shareReviewLink].forEach((input) => {
+      input.addEventListener('focus', () => input.select());
+    });
+  }
   if (backBtn) {
     backBtn.addEventListener('click', () => {
       // Reset view: show form, hide plan
@@ -595,21 +1472,19 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
-  // Listen for changes to logs (storage events) from other tabs/pages
+  // Listen for changes to logs and preferences (storage events) from other tabs/pages
   window.addEventListener('storage', (event) => {
-    if (event.key === 'ocrLogs') {
+    if (event.key === profileKey(PREFS_STORAGE_KEY)) {
+      if (unitSelect) unitSelect.value = getDistanceUnit();
+      updateUnitLabels();
+    }
+    if (event.key === profileKey(LOGS_STORAGE_KEY) || event.key === profileKey(PREFS_STORAGE_KEY)) {
       // If a plan has been generated and is displayed, re-render to update completion indicators
       const planContainer = document.getElementById('planTable');
       if (window.basePlan && planContainer && !planOutput.hidden) {
-        // Create a fresh adaptive copy from the base plan and adapt it to current logs
-        const newCopy = JSON.parse(JSON.stringify(window.basePlan));
-        adaptPlan(newCopy);
-        window.currentPlan = newCopy;
-        renderPlan(newCopy);
-        // Refresh the countdown to ensure up-to-date remaining days
-        if (window.raceDate) {
-          updateCountdown(window.raceDate);
-        }
+        // Create a fresh adaptive copy from the base plan and adapt it to current logs,
+        // refreshing the countdown to ensure up-to-date remaining days
+        showPlan(window.basePlan);
       }
     }
   });
@@ -0,0 +1,205 @@
+/*
+ * share.js
+ * Shareable plan links that work without a server. The plan inputs and its
+ * anchored start date (and optionally a snapshot of the logged workouts) are
+ * packed into JSON, LZW-compressed and written to the URL fragment, which
+ * browsers never send to a server. Opening such a link on the planner or the
+ * review page shows the shared plan read-only, with an explicit import action.
+ *
+ * Payload shape:
+ *   { v: SHARE_VERSION, inputs, startDate, logs?: [[date, type, durationMin,
+ *     distanceMi, elevationFt, rpe, notes, avgHr]] }
+ */
+
+const SHARE_VERSION = 1;
+const SHARE_HASH_PREFIX = '#share=';
+// URL-safe base64 alphabet; each character carries 6 bits
+const SHARE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+// Order of log entry fields in the compact logs snapshot
+const SHARE_LOG_FIELDS = ['date', 'type', 'durationMin', 'distanceMi', 'elevationFt', 'rpe', 'notes', 'avgHr'];
+
+// Number of bits needed to write codes while the dictionary has `size` entries
+function lzwCodeWidth(size) {
+  return size.toString(2).length;
+}
+
+// Compress text with LZW into URL-safe characters. The text is first turned
+// into UTF-8 bytes; the result starts with the byte count and a dot.
+function compressToFragment(text) {
+  const bytes = unescape(encodeURIComponent(text));
+  const dict = new Map();
+  for (let i = 0; i < 256; i++) dict.set(String.fromCharCode(i), i);
+  let bits = '';
+  let phrase = '';
+  const emit = (code) => {
+    bits += code.toString(2).padStart(lzwCodeWidth(dict.size), '0');
+  };
+  for (const ch of bytes) {
+    const extended = phrase + ch;
+    if (dict.has(extended)) {
+      phrase = extended;
+    } else {
+      emit(dict.get(phrase));
+      dict.set(extended, dict.size);
+      phrase = ch;
+    }
+  }
+  if (phrase) emit(dict.get(phrase));
+  let out = '';
+  for (let i = 0; i < bits.length; i += 6) {
+    out += SHARE_ALPHABET[parseInt(bits.slice(i, i + 6).padEnd(6, '0'), 2)];
+  }
+  return `${bytes.length}.${out}`;
+}
+
+// Reverse compressToFragment. Returns null when the text is damaged.
+function decompressFromFragment(fragment) {
+  const match = String(fragment || '').match(/^(\d+)\.([A-Za-z0-9_-]*)$/);
+  if (!match) return null;
+  const length = parseInt(match[1], 10);
+  let bits = '';
+  for (const ch of match[2]) {
+    bits += SHARE_ALPHABET.indexOf(ch).toString(2).padStart(6, '0');
+  }
+  const dict = [];
+  for (let i = 0; i < 256; i++) dict.push(String.fromCharCode(i));
+  let pos = 0;
+  let out = '';
+  let previous = null;
+  while (out.length < length) {
+    // The decoder learns each entry one code late, so count the pending one
+    const width = lzwCodeWidth(dict.length + (previous === null ? 0 : 1));
+    if (pos + width > bits.length) return null;
+    const code = parseInt(bits.slice(pos, pos + width), 2);
+    pos += width;
+    let entry;
+    if (code < dict.length) entry = dict[code];
+    else if (code === dict.length && previous !== null) entry = previous + previous[0];
+    else return null;
+    if (previous !== null) dict.push(previous + entry[0]);
+    out += entry;
+    previous = entry;
+  }
+  try {
+    return decodeURIComponent(escape(out.slice(0, length)));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Fragment (starting with #share=) for a plan record, with an optional logs snapshot
+function createShareFragment(plan, logs) {
+  const payload = { v: SHARE_VERSION, inputs: plan.inputs, startDate: plan.startDate };
+  if (logs && logs.length > 0) {
+    payload.logs = logs.map((entry) => SHARE_LOG_FIELDS.map((key) => (entry[key] === undefined ? null : entry[key])));
+  }
+  return SHARE_HASH_PREFIX + compressToFragment(JSON.stringify(payload));
+}
+
+// Full link to a page with the shared plan in its fragment
+function createShareLink(page, plan, logs) {
+  const base = window.location.href.split('#')[0].replace(/[^/]*$/, page);
+  return base + createShareFragment(plan, logs);
+}
+
+// Whether shared inputs pass the planner's own checks. They are judged as of
+// the day before the shared start date, so a plan whose race has since passed
+// still opens, while nonsense (such as a plan spanning decades) is refused.
+function checkSharedInputs(inputs, startDate) {
+  if (startDate.getDay() !== 1) return false;
+  if (inputs.races !== undefined) {
+    if (!Array.isArray(inputs.races)) return false;
+    if (!inputs.races.every((race) => isPlainObject(race) && typeof race.date === 'string')) return false;
+  }
+  if (inputs.trainingWeekdays !== undefined && !Array.isArray(inputs.trainingWeekdays)) return false;
+  const dayBefore = new Date(startDate);
+  dayBefore.setDate(startDate.getDate() - 1);
+  return Object.keys(validatePlanInputs(inputs, dayBefore)).length === 0;
+}
+
+// Read a shared plan from a URL fragment. Returns { shared, error } where
+// shared is { plan, logs } with the plan regenerated from the shared inputs,
+// or both are null when the fragment is not a share link.
+function parseShareFragment(hash) {
+  if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) return { shared: null, error: null };
+  const broken = { shared: null, error: 'This share link is incomplete or damaged. Ask for the link to be sent again.' };
+  const json = decompressFromFragment(hash.slice(SHARE_HASH_PREFIX.length));
+  if (json === null) return broken;
+  let payload;
+  try {
+    payload = JSON.parse(json);
+  } catch (e) {
+    return broken;
+  }
+  if (!isPlainObject(payload) || !isPlainObject(payload.inputs)) return broken;
+  if (payload.v > SHARE_VERSION) {
+    return { shared: null, error: 'This link was made by a newer version of OCR Planner. Update the app and try again.' };
+  }
+  const startDate = parseIsoDate(payload.startDate);
+  if (!startDate || !checkSharedInputs(payload.inputs, startDate)) return broken;
+  const logs = [];
+  (Array.isArray(payload.logs) ? payload.logs : []).forEach((values) => {
+    if (!Array.isArray(values)) return;
+    const entry = { id: createLogId() };
+    SHARE_LOG_FIELDS.forEach((key, i) => {
+      entry[key] = values[i] === undefined ? null : values[i];
+    });
+    entry.rpe = entry.rpe || '';
+    entry.notes = entry.notes || '';
+    // Entries that don't look like log entries are left out of the snapshot
+    if (parseIsoDate(entry.date) && LOG_TYPES.includes(entry.type)) logs.push(entry);
+  });
+  let plan;
+  try {
+    plan = generatePlan(payload.inputs, payload.startDate);
+  } catch (e) {
+    return broken;
+  }
+  return { shared: { plan, logs }, error: null };
+}
+
+// Import a shared plan into this browser after confirmation. The local plan is
+// only replaced once the athlete agrees, and shared workouts are added to the
+// local log (never replacing it), skipping duplicates. Returns true if anything was imported.
+function importSharedPlan(shared) {
+  const message = loadPlanRecord()
+    ? 'Replace your current training plan with this shared plan? Your logged workouts are kept.'
+    : 'Import this shared plan as your training plan?';
+  if (!window.confirm(message)) return false;
+  savePlanRecord(shared.plan);
+  if (shared.logs.length > 0) {
+    const count = shared.logs.length;
+    if (window.confirm(`Also add the ${count} shared workout${count === 1 ? '' : 's'} to your log? Duplicates are skipped.`)) {
+      saveLogEntries(mergeLogEntries(loadLogEntries(), shared.logs).logs);
+    }
+  }
+  return true;
+}
+
+// Leave the shared view by dropping the fragment from the address
+function clearShareFragment() {
+  history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+// Banner above a read-only shared plan with import and close actions. Either
+// action drops the link's fragment and reloads the page with local data.
+function renderShareBanner(container, shared) {
+  const count = shared.logs.length;
+  container.hidden = false;
+  container.innerHTML = `
+    <p><strong>You’re viewing a shared plan.</strong> It is read-only and has not been saved in this browser.
+    ${count > 0 ? `It includes ${count} logged workout${count === 1 ? '' : 's'}.` : ''}</p>
+    <div class="plan-actions">
+      <button type="button" class="primary-btn share-import-btn">Import into my plan</button>
+      <button type="button" class="secondary-btn share-close-btn">Close shared view</button>
+    </div>`;
+  container.querySelector('.share-import-btn').addEventListener('click', () => {
+    if (!importSharedPlan(shared)) return;
+    clearShareFragment();
+    window.location.reload();
+  });
+  container.querySelector('.share-close-btn').addEventListener('click', () => {
+    clearShareFragment();
+    window.location.reload();
+  });
+}
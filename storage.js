@@ -0,0 +1,620 @@
+/*
+ * storage.js
+ * Shared helpers for reading and writing the planner's localStorage data.
+ * The generated plan is stored as a versioned record that remembers the date
+ * it was anchored to, so every page (planner, tracker, review and the calendar
+ * export) lines weeks up with the same calendar days.
+ * Distances are always stored in miles and elevation in feet; the user's unit
+ * preference (mi/km) only affects what is displayed and how typed values are read.
+ * Each athlete profile keeps its own copy of the plan, logs, preferences and
+ * calendar export state under keys suffixed with the profile id
+ * (e.g. "ocrLogs:default"); the profile list lives under its own key.
+ */
+
+const PLAN_STORAGE_KEY = 'ocrBasePlan';
+const LOGS_STORAGE_KEY = 'ocrLogs';
+const PREFS_STORAGE_KEY = 'ocrPreferences';
+const CALENDAR_STORAGE_KEY = 'ocrCalendarEvents';
+const PROFILES_STORAGE_KEY = 'ocrProfiles';
+// Keys stored once per athlete profile
+const PROFILE_DATA_KEYS = [PLAN_STORAGE_KEY, LOGS_STORAGE_KEY, PREFS_STORAGE_KEY, CALENDAR_STORAGE_KEY];
+// Profile that data saved before profiles existed is moved into
+const DEFAULT_PROFILE_ID = 'default';
+const DEFAULT_PROFILE_NAME = 'My profile';
+const PROFILE_NAME_MAX_LENGTH = 40;
+const PLAN_RECORD_VERSION = 2;
+const KM_PER_MILE = 1.609344;
+const FEET_PER_METRE = 3.28084;
+// volumeUnderPct/volumeOverPct: actual weekly run volume outside these
+// percentages of the plan is flagged in the plan table
+// calendarTime/calendarDurationMin: start time and length of exported events for
+// sessions without a target duration; calendarReminderMin: alarm lead time (0 = none)
+const DEFAULT_PREFERENCES = {
+  distanceUnit: 'mi',
+  volumeUnderPct: 80,
+  volumeOverPct: 120,
+  calendarTime: '07:00',
+  calendarDurationMin: 60,
+  calendarReminderMin: 30,
+  calendarSkipRest: false,
+};
+// Default session lengths the calendar options accept, in minutes
+const CALENDAR_DURATION_RANGE = [10, 300];
+// Reminder lead times offered for calendar events, in minutes (0 = none)
+const CALENDAR_REMINDER_OPTIONS = [0, 15, 30, 60, 120, 720];
+
+// Session type and intensity for the free-text days of version 1 plans, by prefix
+const LEGACY_DAY_TYPES = [
+  ['Easy run', 'run', 'easy', [3, 4]],
+  ['Tempo run', 'run', 'hard', [5, 6]],
+  ['Interval', 'run', 'hard', [6, 7]],
+  ['Race', 'run', 'hard', [5, 7]],
+  ['Short sharpening', 'run', 'hard', [5, 6]],
+  ['Light strength', 'strength', 'easy', [3, 4]],
+  ['Active recovery', 'mobility', 'easy', [1, 2]],
+  ['Rest', 'rest', 'rest', [0, 0]],
+];
+
+// Convert a Date to an ISO date string with hyphens (YYYY-MM-DD) in local time
+function toIsoDate(dateObj) {
+  const y = dateObj.getFullYear();
+  const m = String(dateObj.getMonth() + 1).padStart(2, '0');
+  const d = String(dateObj.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Parse a YYYY-MM-DD string as local midnight (new Date('YYYY-MM-DD') is UTC)
+function parseIsoDate(isoStr) {
+  const parts = String(isoStr || '').split('-').map((p) => parseInt(p, 10));
+  if (parts.length !== 3 || parts.some((p) => isNaN(p))) return null;
+  return new Date(parts[0], parts[1] - 1, parts[2]);
+}
+
+// Return the upcoming Monday (or the given day if it is already a Monday)
+function nextMonday(fromDate) {
+  const startDate = new Date(fromDate.getFullYear(), fromDate.getMonth(), fromDate.getDate());
+  const dow = startDate.getDay();
+  let diffToMon;
+  if (dow === 1) {
+    diffToMon = 0;
+  } else if (dow === 0) {
+    diffToMon = 1;
+  } else {
+    diffToMon = 8 - dow;
+  }
+  startDate.setDate(startDate.getDate() + diffToMon);
+  return startDate;
+}
+
+// Date of a given plan day, counted from the plan's anchored start date
+function planDayDate(startDate, weekIndex, dayIndex) {
+  const dayDate = new Date(startDate);
+  dayDate.setDate(startDate.getDate() + weekIndex * 7 + dayIndex);
+  return dayDate;
+}
+
+// Convert a free-text day saved by a version 1 plan into a session object
+function legacySession(text, phase) {
+  const match = LEGACY_DAY_TYPES.find(([prefix]) => text.startsWith(prefix));
+  const [, type, intensity, targetRpe] = match || [null, 'strength', 'moderate', [5, 6]];
+  return {
+    type,
+    workoutId: null,
+    title: text.split(' – ')[0].replace(/\.$/, ''),
+    intensity,
+    targetRpe,
+    targetDurationMin: type === 'rest' ? 0 : null,
+    phase,
+    description: text,
+  };
+}
+
+// Bring a stored plan up to the current record version. Plans saved before the
+// record format existed have no start date; they are anchored to the upcoming
+// Monday once so they stop drifting.
+function migratePlanRecord(plan) {
+  if ((plan.version || 0) >= PLAN_RECORD_VERSION) return false;
+  if (!plan.startDate) {
+    plan.startDate = toIsoDate(nextMonday(new Date()));
+  }
+  plan.weeks.forEach((weekObj) => {
+    weekObj.days = weekObj.days.map((day) =>
+      typeof day === 'string' ? legacySession(day, weekObj.phase) : day
+    );
+  });
+  plan.version = PLAN_RECORD_VERSION;
+  return true;
+}
+
+// Whether a value is a usable profile list: { activeId, profiles: [{ id, name }] }
+function isProfileList(value) {
+  return (
+    isPlainObject(value) &&
+    Array.isArray(value.profiles) &&
+    value.profiles.length > 0 &&
+    value.profiles.every((profile) => isPlainObject(profile) && typeof profile.id === 'string' && typeof profile.name === 'string')
+  );
+}
+
+// Build the profile list when none can be read. Data saved before profiles
+// existed moves into the default profile, and every profile that still has
+// data stored is listed again, so an unreadable list never orphans anyone's
+// data. Profiles whose names were lost get placeholder names.
+function rebuildProfiles(unreadable) {
+  let ids = [];
+  try {
+    PROFILE_DATA_KEYS.forEach((key) => {
+      const value = localStorage.getItem(key);
+      if (value === null) return;
+      // Never overwrite data the default profile already has
+      if (localStorage.getItem(`${key}:${DEFAULT_PROFILE_ID}`) === null) {
+        localStorage.setItem(`${key}:${DEFAULT_PROFILE_ID}`, value);
+      }
+      localStorage.removeItem(key);
+    });
+    const found = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const storedKey = localStorage.key(i) || '';
+      const separator = storedKey.indexOf(':');
+      if (separator === -1 || !PROFILE_DATA_KEYS.includes(storedKey.slice(0, separator))) continue;
+      const id = storedKey.slice(separator + 1);
+      if (!found.includes(id)) found.push(id);
+    }
+    // The default profile comes first, then the others in a stable order
+    ids = found.sort((a, b) => (a === DEFAULT_PROFILE_ID ? -1 : b === DEFAULT_PROFILE_ID ? 1 : a.localeCompare(b)));
+  } catch (e) {
+    console.warn('Unable to move stored data into the default profile', e);
+  }
+  if (ids.length === 0) ids = [DEFAULT_PROFILE_ID];
+  let recovered = 0;
+  const profiles = ids.map((id) => ({
+    id,
+    name: id === DEFAULT_PROFILE_ID ? DEFAULT_PROFILE_NAME : `Recovered profile ${++recovered}`,
+  }));
+  if (unreadable) {
+    console.warn(`The profile list could not be read; rebuilt it from the data of ${profiles.length} profile(s)`);
+  }
+  const list = { activeId: profiles[0].id, profiles };
+  saveProfiles(list);
+  return list;
+}
+
+// Read the athlete profiles and which one is active. The first read in a
+// browser with older data migrates it into the default profile, and an
+// unreadable list is rebuilt from the stored data.
+function loadProfiles() {
+  let text = null;
+  let list = null;
+  try {
+    text = localStorage.getItem(PROFILES_STORAGE_KEY);
+    list = JSON.parse(text || 'null');
+  } catch (e) {
+    list = null;
+  }
+  if (!isProfileList(list)) return rebuildProfiles(text !== null);
+  if (!list.profiles.some((profile) => profile.id === list.activeId)) {
+    list.activeId = list.profiles[0].id;
+  }
+  return list;
+}
+
+// Persist the profile list; other open pages pick this up through the storage event
+function saveProfiles(list) {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(list));
+  } catch (e) {
+    console.warn('Unable to save profiles to localStorage', e);
+  }
+}
+
+// The profile whose data the pages currently show
+function getActiveProfile() {
+  const list = loadProfiles();
+  return list.profiles.find((profile) => profile.id === list.activeId);
+}
+
+// localStorage key of a per-profile value, for the active profile by default
+function profileKey(key, profileId) {
+  return `${key}:${profileId || loadProfiles().activeId}`;
+}
+
+// Check a profile name. Returns an error message, or null if the name can be used.
+// Names must be unique (ignoring case); exceptId skips the profile being renamed.
+function validateProfileName(name, list, exceptId) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) return 'Please enter a name for the profile.';
+  if (trimmed.length > PROFILE_NAME_MAX_LENGTH) {
+    return `Profile names can be at most ${PROFILE_NAME_MAX_LENGTH} characters.`;
+  }
+  const taken = list.profiles.some(
+    (profile) => profile.id !== exceptId && profile.name.toLowerCase() === trimmed.toLowerCase()
+  );
+  return taken ? 'Another profile already has this name.' : null;
+}
+
+// Add a profile and make it active. Returns { profile, error }.
+function createProfile(name) {
+  const list = loadProfiles();
+  const error = validateProfileName(name, list);
+  if (error) return { profile: null, error };
+  const profile = {
+    id: `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: String(name).trim(),
+  };
+  list.profiles.push(profile);
+  list.activeId = profile.id;
+  saveProfiles(list);
+  return { profile, error: null };
+}
+
+// Rename a profile. Returns an error message, or null once renamed.
+function renameProfile(profileId, name) {
+  const list = loadProfiles();
+  const profile = list.profiles.find((p) => p.id === profileId);
+  if (!profile) return 'This profile no longer exists.';
+  const error = validateProfileName(name, list, profileId);
+  if (error) return error;
+  profile.name = String(name).trim();
+  saveProfiles(list);
+  return null;
+}
+
+// Delete a profile together with its plan, logs and preferences. The last
+// profile cannot be deleted; deleting the active one switches to the first
+// remaining profile. Returns an error message, or null once deleted.
+function deleteProfile(profileId) {
+  const list = loadProfiles();
+  if (list.profiles.length <= 1) return 'The only profile cannot be deleted.';
+  if (!list.profiles.some((profile) => profile.id === profileId)) return 'This profile no longer exists.';
+  list.profiles = list.profiles.filter((profile) => profile.id !== profileId);
+  if (list.activeId === profileId) list.activeId = list.profiles[0].id;
+  try {
+    PROFILE_DATA_KEYS.forEach((key) => localStorage.removeItem(profileKey(key, profileId)));
+  } catch (e) {
+    console.warn('Unable to remove profile data from localStorage', e);
+  }
+  saveProfiles(list);
+  return null;
+}
+
+// Switch the pages to another profile's data
+function setActiveProfile(profileId) {
+  const list = loadProfiles();
+  if (!list.profiles.some((profile) => profile.id === profileId)) return;
+  list.activeId = profileId;
+  saveProfiles(list);
+}
+
+// Read the stored plan record, or null if none has been generated yet
+function loadPlanRecord() {
+  let plan = null;
+  try {
+    plan = JSON.parse(localStorage.getItem(profileKey(PLAN_STORAGE_KEY)) || 'null');
+  } catch (e) {
+    plan = null;
+  }
+  if (!plan || !plan.weeks) return null;
+  if (migratePlanRecord(plan)) {
+    savePlanRecord(plan);
+  }
+  return plan;
+}
+
+// Persist a plan record to localStorage
+function savePlanRecord(plan) {
+  try {
+    localStorage.setItem(profileKey(PLAN_STORAGE_KEY), JSON.stringify(plan));
+  } catch (e) {
+    console.warn('Unable to save base plan to localStorage', e);
+  }
+}
+
+// Remove the stored plan record
+function removePlanRecord() {
+  try {
+    localStorage.removeItem(profileKey(PLAN_STORAGE_KEY));
+  } catch (e) {
+    console.warn('Unable to remove base plan from localStorage', e);
+  }
+}
+
+// Anchored start date of a plan record as a Date (local midnight)
+function getPlanStartDate(plan) {
+  return (plan && parseIsoDate(plan.startDate)) || nextMonday(new Date());
+}
+
+// Zero-based plan week a date falls into, or -1 if outside the plan
+function planWeekIndex(plan, dateObj) {
+  if (!plan || !plan.weeks) return -1;
+  const msPerDay = 1000 * 60 * 60 * 24;
+  const startDate = getPlanStartDate(plan);
+  const day = new Date(dateObj.getFullYear(), dateObj.getMonth(), dateObj.getDate());
+  const diffDays = Math.round((day - startDate) / msPerDay);
+  const weekIndex = Math.floor(diffDays / 7);
+  return diffDays < 0 || weekIndex >= plan.weeks.length ? -1 : weekIndex;
+}
+
+// Workout types a log entry can have
+const LOG_TYPES = ['run', 'strength', 'other', 'rest'];
+
+// Logged workout types that complete each planned session type
+const SESSION_LOG_TYPES = {
+  run: ['run'],
+  strength: ['strength'],
+  mobility: ['other'],
+  rest: ['rest'],
+  // A race can be logged as a run or, for obstacle-heavy events, as other
+  race: ['run', 'other'],
+};
+
+// Group log entries into lists keyed by ISO date, so several sessions on
+// the same day are all kept
+function groupLogsByDate(logs) {
+  const byDate = {};
+  logs.forEach((entry) => {
+    if (!entry.date) return;
+    if (!byDate[entry.date]) byDate[entry.date] = [];
+    byDate[entry.date].push(entry);
+  });
+  return byDate;
+}
+
+// Logged entries from one day that complete the given planned session
+function matchingLogs(dayLogs, session) {
+  const types = SESSION_LOG_TYPES[session.type] || [];
+  return (dayLogs || []).filter((entry) => types.includes(String(entry.type || '').toLowerCase()));
+}
+
+// Generate a stable, unique id for a log entry
+function createLogId() {
+  return `log-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Paces such as "8:30/mi", "5:10 min/km", "8:30 per mile" or "pace 8:30",
+// which look like mm:ss durations but are not
+const PACE_PATTERN =
+  /\bpace\s*:?\s*\d{1,2}:\d{2}\b|\b\d{1,2}:\d{2}\s*(?:min(?:utes)?\s*)?(?:\/|per\s+)\s*(?:km|k|kilomet(?:er|re)|mi|mile)s?\b|\b\d{1,2}:\d{2}\s*pace\b/g;
+
+// Read duration and distance from the free-text "Duration/distance" value of
+// older log entries, e.g. "5 mi", "45 min", "8km", "1h 10min" or "10 km in 55 min".
+// A bare number is taken as miles, the only unit the old form offered.
+// Paces are never read as durations; result.hasPace tells the caller one was left out.
+function parseLegacyLogValue(text) {
+  const original = String(text || '').trim().toLowerCase();
+  const value = original.replace(PACE_PATTERN, ' ').trim();
+  const result = { durationMin: null, distanceMi: null, hasPace: value !== original };
+  if (!value) return result;
+  const distance = value.match(/(\d+(?:\.\d+)?)\s*(km|k|kilomet(?:er|re)s?|mi|miles?)\b/);
+  if (distance) {
+    const unit = distance[2].startsWith('k') ? 'km' : 'mi';
+    result.distanceMi = unitToMiles(parseFloat(distance[1]), unit);
+  }
+  const clock = value.match(/\b(\d{1,2}):(\d{2})(?::(\d{2}))?\b/);
+  const hours = value.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hours?)\b/);
+  const minutes = value.match(/(\d+(?:\.\d+)?)\s*(?:m|min|mins|minutes?)\b/);
+  if (clock) {
+    // h:mm:ss, or mm:ss when only two parts are given
+    result.durationMin = clock[3]
+      ? parseInt(clock[1], 10) * 60 + parseInt(clock[2], 10) + parseInt(clock[3], 10) / 60
+      : parseInt(clock[1], 10) + parseInt(clock[2], 10) / 60;
+  } else if (hours || minutes) {
+    result.durationMin = (hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseFloat(minutes[1]) : 0);
+  }
+  if (result.durationMin === null && result.distanceMi === null && /^\d+(?:\.\d+)?$/.test(value)) {
+    result.distanceMi = parseFloat(value);
+  }
+  if (result.durationMin !== null) result.durationMin = Math.round(result.durationMin);
+  if (result.distanceMi !== null) result.distanceMi = Math.round(result.distanceMi * 100) / 100;
+  return result;
+}
+
+// Bring an older log entry up to the current shape. Returns true if it changed.
+// Entries get a stable id, and free-text values become numeric fields; text
+// that cannot be read is kept in the notes so nothing is lost.
+function migrateLogEntry(entry) {
+  let changed = false;
+  if (!entry.id) {
+    entry.id = createLogId();
+    changed = true;
+  }
+  if ('value' in entry) {
+    const parsed = parseLegacyLogValue(entry.value);
+    if (typeof entry.distanceMi !== 'number') entry.distanceMi = parsed.distanceMi;
+    if (typeof entry.durationMin !== 'number') entry.durationMin = parsed.durationMin;
+    // A pace has no field of its own, so it stays readable in the notes too
+    if (entry.value && ((parsed.distanceMi === null && parsed.durationMin === null) || parsed.hasPace)) {
+      entry.notes = entry.notes ? `${entry.notes} (${entry.value})` : entry.value;
+    }
+    delete entry.value;
+    changed = true;
+  }
+  return changed;
+}
+
+// Load logged workouts from localStorage. Older entries are migrated (and
+// saved) so they can be edited, deleted and summed like new ones.
+function loadLogEntries() {
+  let logs;
+  try {
+    logs = JSON.parse(localStorage.getItem(profileKey(LOGS_STORAGE_KEY)) || '[]');
+  } catch (e) {
+    return [];
+  }
+  if (!Array.isArray(logs)) return [];
+  const changed = logs.filter((entry) => migrateLogEntry(entry));
+  if (changed.length > 0) {
+    saveLogEntries(logs);
+  }
+  return logs;
+}
+
+// Persist logged workouts; other open pages pick this up through the storage event
+function saveLogEntries(logs) {
+  try {
+    localStorage.setItem(profileKey(LOGS_STORAGE_KEY), JSON.stringify(logs));
+  } catch (e) {
+    console.warn('Unable to save logs to localStorage', e);
+  }
+}
+
+// Content of a log entry without its id, so the same workout saved twice
+// (e.g. from two devices or two imports) can be recognised
+function logSignature(entry) {
+  return [
+    entry.date,
+    String(entry.type || '').toLowerCase(),
+    entry.durationMin,
+    entry.distanceMi,
+    entry.elevationFt,
+    String(entry.rpe || ''),
+    String(entry.notes || '').trim(),
+  ].join('|');
+}
+
+// Add incoming log entries to existing ones, skipping entries that share an id
+// or the exact content of an entry already kept. Returns the combined list
+// and how many entries were added or skipped as duplicates.
+function mergeLogEntries(existing, incoming) {
+  const logs = existing.slice();
+  const ids = new Set(logs.map((entry) => entry.id));
+  const signatures = new Set(logs.map(logSignature));
+  let added = 0;
+  let duplicates = 0;
+  incoming.forEach((entry) => {
+    const signature = logSignature(entry);
+    if (ids.has(entry.id) || signatures.has(signature)) {
+      duplicates++;
+      return;
+    }
+    logs.push(entry);
+    ids.add(entry.id);
+    signatures.add(signature);
+    added++;
+  });
+  return { logs, added, duplicates };
+}
+
+// Load user preferences merged over the defaults
+function loadPreferences() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(profileKey(PREFS_STORAGE_KEY)) || '{}');
+    return { ...DEFAULT_PREFERENCES, ...stored };
+  } catch (e) {
+    return { ...DEFAULT_PREFERENCES };
+  }
+}
+
+// Merge and persist changed preferences
+function savePreferences(changes) {
+  const prefs = { ...loadPreferences(), ...changes };
+  try {
+    localStorage.setItem(profileKey(PREFS_STORAGE_KEY), JSON.stringify(prefs));
+  } catch (e) {
+    console.warn('Unable to save preferences to localStorage', e);
+  }
+  return prefs;
+}
+
+// Check the volume flag thresholds (percent of planned weekly run volume).
+// Returns an error message, or null if the pair can be saved.
+function validateVolumeThresholds(under, over) {
+  if (isNaN(under) || isNaN(over)) return 'Enter both thresholds as percentages.';
+  if (under < 0 || over < 0) return 'Thresholds cannot be negative.';
+  if (under >= over) return 'The under threshold must be lower than the over threshold.';
+  return null;
+}
+
+// Check the calendar export options present in prefs. Returns a list of
+// error messages, empty when they can be saved.
+function validateCalendarPreferences(prefs) {
+  const errors = [];
+  if (prefs.calendarTime !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(prefs.calendarTime))) {
+    errors.push('The workout time must be a time of day (HH:MM).');
+  }
+  const duration = prefs.calendarDurationMin;
+  if (duration !== undefined && (!Number.isInteger(duration) || duration < CALENDAR_DURATION_RANGE[0] || duration > CALENDAR_DURATION_RANGE[1])) {
+    errors.push(`The default session length must be ${CALENDAR_DURATION_RANGE[0]}–${CALENDAR_DURATION_RANGE[1]} minutes.`);
+  }
+  if (prefs.calendarReminderMin !== undefined && !CALENDAR_REMINDER_OPTIONS.includes(prefs.calendarReminderMin)) {
+    errors.push('The reminder must be one of the offered lead times.');
+  }
+  if (prefs.calendarSkipRest !== undefined && typeof prefs.calendarSkipRest !== 'boolean') {
+    errors.push('Skipping rest days must be on or off.');
+  }
+  return errors;
+}
+
+// Exported calendar events by UID: { hash, sequence }. Lets a re-export bump
+// SEQUENCE only for events whose content changed.
+function loadCalendarEvents() {
+  try {
+    const events = JSON.parse(localStorage.getItem(profileKey(CALENDAR_STORAGE_KEY)) || '{}');
+    return events && typeof events === 'object' && !Array.isArray(events) ? events : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Persist the exported calendar event versions
+function saveCalendarEvents(events) {
+  try {
+    localStorage.setItem(profileKey(CALENDAR_STORAGE_KEY), JSON.stringify(events));
+  } catch (e) {
+    console.warn('Unable to save calendar events to localStorage', e);
+  }
+}
+
+// Preferred distance unit: 'mi' or 'km'
+function getDistanceUnit() {
+  return loadPreferences().distanceUnit === 'km' ? 'km' : 'mi';
+}
+
+// Convert a stored distance in miles to the given display unit
+function milesToUnit(miles, unit) {
+  return unit === 'km' ? miles * KM_PER_MILE : miles;
+}
+
+// Convert a distance typed in the given unit to miles for storage
+function unitToMiles(value, unit) {
+  return unit === 'km' ? value / KM_PER_MILE : value;
+}
+
+// Format a stored distance in miles for display, e.g. "8.0 km"
+function formatDistance(miles, unit) {
+  return `${milesToUnit(miles, unit).toFixed(1)} ${unit}`;
+}
+
+// Elevation unit that goes with a distance unit: feet for miles, metres for km
+function elevationUnit(unit) {
+  return unit === 'km' ? 'm' : 'ft';
+}
+
+// Convert a stored elevation in feet to the display unit for the distance unit
+function feetToUnit(feet, unit) {
+  return unit === 'km' ? feet / FEET_PER_METRE : feet;
+}
+
+// Convert an elevation typed in the display unit to feet for storage
+function unitToFeet(value, unit) {
+  return unit === 'km' ? value * FEET_PER_METRE : value;
+}
+
+// Format a stored elevation in feet for display, e.g. "120 m"
+function formatElevation(feet, unit) {
+  return `${Math.round(feetToUnit(feet, unit))} ${elevationUnit(unit)}`;
+}
+
+// Whether a value is a plain object (not null or an array)
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Escape user-entered text for use inside HTML markup
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
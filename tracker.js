@@ -1,14 +1,43 @@
 /*
  * tracker.js
  * Simple progress tracker for OCR training plans.
- * Allows the user to log workouts and stores them in localStorage.
+ * Allows the user to log, edit and delete workouts stored in localStorage.
  * Displays a table of logged entries when the page is loaded.
  */
 
+// Number of days shown in the training load chart
+const LOAD_CHART_DAYS = 42;
+// Number of CSV rows shown in the import preview
+const CSV_PREVIEW_ROWS = 10;
+
 document.addEventListener('DOMContentLoaded', () => {
   const logForm = document.getElementById('logForm');
   const logsTable = document.getElementById('logsTable');
   const achievementsContainer = document.getElementById('achievementsContainer');
+  const unitSelect = document.getElementById('unitSelect');
+  const logFormLegend = document.getElementById('logFormLegend');
+  const logSubmitBtn = document.getElementById('logSubmitBtn');
+  const cancelEditBtn = document.getElementById('cancelEditBtn');
+  const loadChart = document.getElementById('loadChart');
+  // Id of the entry being edited, or null when adding a new entry
+  let editingId = null;
+
+  // Show the preferred distance and elevation units next to the inputs
+  function updateUnitLabels() {
+    const unit = getDistanceUnit();
+    document.querySelectorAll('.unit-label').forEach((label) => {
+      label.textContent = unit;
+    });
+    document.querySelectorAll('.elevation-unit-label').forEach((label) => {
+      label.textContent = elevationUnit(unit);
+    });
+  }
+
+  // Read an optional non-negative number from a form field, or null if blank
+  function readNumber(formData, name) {
+    const num = parseFloat(formData.get(name));
+    return isNaN(num) || num < 0 ? null : num;
+  }
 
   // Compute and display achievements based on logs
   function updateAchievements(logs) {
@@ -99,9 +128,58 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  // Chart daily session load with the acute and chronic lines for the last
+  // LOAD_CHART_DAYS days. Days where the acute:chronic ratio is above the
+  // safe band are shaded so load spikes stand out.
+  function updateLoadChart(logs) {
+    if (!loadChart) return;
+    const series = loadSeries(logs, LOAD_CHART_DAYS);
+    const latest = series[series.length - 1];
+    if (!series.some((day) => day.load > 0)) {
+      loadChart.innerHTML = '<p>Log workouts with a duration and RPE to see your training load.</p>';
+      return;
+    }
+    const width = 600;
+    const height = 180;
+    const pad = 24;
+    const maxValue = Math.max(...series.map((day) => Math.max(day.load, day.acute, day.chronic)), 1);
+    const step = (width - pad * 2) / series.length;
+    const x = (i) => pad + i * step;
+    const y = (value) => height - pad - (value / maxValue) * (height - pad * 2);
+    const line = (key) => series.map((day, i) => `${(x(i) + step / 2).toFixed(1)},${y(day[key]).toFixed(1)}`).join(' ');
+    let svg = `<svg class="load-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Training load over the last ${LOAD_CHART_DAYS} days">`;
+    series.forEach((day, i) => {
+      const zone = acwrZone(day.acwr);
+      if (zone === 'danger' || zone === 'caution') {
+        svg += `<rect class="load-spike load-spike-${zone}" x="${x(i).toFixed(1)}" y="${pad}" width="${step.toFixed(1)}" height="${height - pad * 2}"></rect>`;
+      }
+      const barHeight = height - pad - y(day.load);
+      const ratio = day.acwr !== null ? `, ACWR ${day.acwr.toFixed(2)}` : '';
+      svg += `<rect class="load-bar" x="${(x(i) + 1).toFixed(1)}" y="${y(day.load).toFixed(1)}" width="${Math.max(step - 2, 1).toFixed(1)}" height="${barHeight.toFixed(1)}"><title>${day.date}: load ${Math.round(day.load)}${ratio}</title></rect>`;
+    });
+    svg += `<polyline class="load-line load-chronic" points="${line('chronic')}"></polyline>`;
+    svg += `<polyline class="load-line load-acute" points="${line('acute')}"></polyline>`;
+    svg += `<line class="load-axis" x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}"></line>`;
+    svg += `<text class="load-label" x="${pad}" y="${height - 6}">${series[0].date}</text>`;
+    svg += `<text class="load-label" x="${width - pad}" y="${height - 6}" text-anchor="end">${latest.date}</text>`;
+    svg += '</svg>';
+    const zone = acwrZone(latest.acwr);
+    let summary = `<p class="load-legend"><span class="legend-bar"></span> Daily load (RPE × min) <span class="legend-acute"></span> Acute (7 days) <span class="legend-chronic"></span> Chronic (28-day weekly average)</p>`;
+    summary += `<p><strong>Acute:</strong> ${Math.round(latest.acute)} &nbsp;|&nbsp; <strong>Chronic:</strong> ${Math.round(latest.chronic)} &nbsp;|&nbsp; <strong>ACWR:</strong> ${latest.acwr !== null ? latest.acwr.toFixed(2) : 'not enough history'}`;
+    if (zone !== 'unknown') summary += ` <span class="acwr-zone acwr-${zone}">${zone}</span>`;
+    if (latest.monotony !== null) {
+      summary += ` &nbsp;|&nbsp; <strong>Monotony:</strong> ${latest.monotony.toFixed(2)} &nbsp;|&nbsp; <strong>Strain:</strong> ${Math.round(latest.strain)}`;
+    }
+    summary += '</p>';
+    loadChart.innerHTML = svg + summary;
+  }
+
   // Load existing logs from localStorage and render
   function loadLogs() {
-    const logs = JSON.parse(localStorage.getItem('ocrLogs') || '[]');
+    const logs = loadLogEntries();
+    // Plan record used to show which plan week each entry belongs to
+    const plan = loadPlanRecord();
+    const unit = getDistanceUnit();
     // Sort logs by date descending
     logs.sort((a, b) => new Date(b.date) - new Date(a.date));
     // Clear table
@@ -110,66 +188,431 @@ document.addEventListener('DOMContentLoaded', () => {
       const emptyRow = document.createElement('tr');
       const td = document.createElement('td');
       td.textContent = 'No entries yet. Add your first workout above.';
-      td.colSpan = 5;
+      td.colSpan = 10;
       emptyRow.appendChild(td);
       logsTable.appendChild(emptyRow);
+      // Clear badges and the chart left over from entries that were just removed
+      updateAchievements(logs);
+      updateLoadChart(logs);
       return;
     }
     // Header row
     const header = document.createElement('tr');
     header.innerHTML =
-      '<th>Date</th><th>Type</th><th>Duration/Distance</th><th>RPE</th><th>Notes</th>';
+      '<th>Date</th><th>Plan week</th><th>Type</th><th>Duration</th><th>Distance</th><th>Elevation</th><th>Avg HR</th><th>RPE</th><th>Notes</th><th>Actions</th>';
     logsTable.appendChild(header);
     // Data rows
     logs.forEach((entry) => {
       const tr = document.createElement('tr');
       const dateTd = document.createElement('td');
+      const weekTd = document.createElement('td');
       const typeTd = document.createElement('td');
-      const valueTd = document.createElement('td');
+      const durationTd = document.createElement('td');
+      const distanceTd = document.createElement('td');
+      const elevationTd = document.createElement('td');
+      const heartRateTd = document.createElement('td');
       const rpeTd = document.createElement('td');
       const notesTd = document.createElement('td');
       // Format date as YYYY-MM-DD for display
-      const dateObj = new Date(entry.date);
-      const yyyy = dateObj.getFullYear();
-      const mm = String(dateObj.getMonth() + 1).padStart(2, '0');
-      const dd = String(dateObj.getDate()).padStart(2, '0');
-      dateTd.textContent = `${yyyy}-${mm}-${dd}`;
+      const dateObj = parseIsoDate(entry.date) || new Date(entry.date);
+      dateTd.textContent = toIsoDate(dateObj);
+      // Week number relative to the plan's anchored start date
+      const weekIndex = planWeekIndex(plan, dateObj);
+      weekTd.textContent = weekIndex >= 0 ? String(weekIndex + 1) : '–';
       typeTd.textContent = entry.type;
-      valueTd.textContent = entry.value || '';
+      durationTd.textContent = typeof entry.durationMin === 'number' ? `${entry.durationMin} min` : '';
+      // Distances are stored in miles and elevation in feet, shown in the preferred unit
+      distanceTd.textContent = typeof entry.distanceMi === 'number' ? formatDistance(entry.distanceMi, unit) : '';
+      elevationTd.textContent = typeof entry.elevationFt === 'number' ? formatElevation(entry.elevationFt, unit) : '';
+      heartRateTd.textContent = typeof entry.avgHr === 'number' ? `${entry.avgHr} bpm` : '';
       rpeTd.textContent = entry.rpe || '';
       notesTd.textContent = entry.notes || '';
       tr.appendChild(dateTd);
+      tr.appendChild(weekTd);
       tr.appendChild(typeTd);
-      tr.appendChild(valueTd);
+      tr.appendChild(durationTd);
+      tr.appendChild(distanceTd);
+      tr.appendChild(elevationTd);
+      tr.appendChild(heartRateTd);
       tr.appendChild(rpeTd);
       tr.appendChild(notesTd);
+      // Edit and delete actions target the entry by its stable id
+      const actionsTd = document.createElement('td');
+      actionsTd.className = 'log-actions';
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'secondary-btn';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => startEdit(entry));
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'secondary-btn';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => deleteEntry(entry));
+      actionsTd.appendChild(editBtn);
+      actionsTd.appendChild(deleteBtn);
+      tr.appendChild(actionsTd);
+      if (entry.id === editingId) tr.classList.add('editing');
       logsTable.appendChild(tr);
     });
-    // Update achievements after rendering logs
+    // Update achievements and the load chart after rendering logs
     updateAchievements(logs);
+    updateLoadChart(logs);
+  }
+
+  // Fill the form with an existing entry so it can be corrected
+  function startEdit(entry) {
+    editingId = entry.id;
+    const fields = logForm.elements;
+    fields.namedItem('logDate').value = entry.date || '';
+    fields.namedItem('logType').value = entry.type || 'run';
+    const unit = getDistanceUnit();
+    fields.namedItem('logDuration').value = typeof entry.durationMin === 'number' ? entry.durationMin : '';
+    fields.namedItem('logDistance').value =
+      typeof entry.distanceMi === 'number' ? Math.round(milesToUnit(entry.distanceMi, unit) * 100) / 100 : '';
+    fields.namedItem('logElevation').value =
+      typeof entry.elevationFt === 'number' ? Math.round(feetToUnit(entry.elevationFt, unit)) : '';
+    fields.namedItem('logHeartRate').value = typeof entry.avgHr === 'number' ? entry.avgHr : '';
+    fields.namedItem('logRPE').value = entry.rpe || '';
+    fields.namedItem('logNotes').value = entry.notes || '';
+    if (logFormLegend) logFormLegend.textContent = 'Edit entry';
+    if (logSubmitBtn) logSubmitBtn.textContent = 'Save changes';
+    if (cancelEditBtn) cancelEditBtn.hidden = false;
+    loadLogs();
+    logForm.scrollIntoView({ behavior: 'smooth' });
+  }
+
+  // Return the form to adding new entries
+  function stopEdit() {
+    editingId = null;
+    logForm.reset();
+    if (logFormLegend) logFormLegend.textContent = 'New entry';
+    if (logSubmitBtn) logSubmitBtn.textContent = 'Add entry';
+    if (cancelEditBtn) cancelEditBtn.hidden = true;
+  }
+
+  // Remove an entry after confirmation
+  function deleteEntry(entry) {
+    const label = `${entry.type || 'workout'} on ${entry.date}`;
+    if (!window.confirm(`Delete the ${label}? This cannot be undone.`)) return;
+    const logs = loadLogEntries().filter((l) => l.id !== entry.id);
+    saveLogEntries(logs);
+    if (editingId === entry.id) stopEdit();
+    loadLogs();
   }
 
-  // Handle new log submission
+  // Handle new log submission and edits
   if (logForm) {
     logForm.addEventListener('submit', (e) => {
       e.preventDefault();
       const formData = new FormData(logForm);
+      // Distance and elevation are typed in the preferred unit and stored in miles/feet
+      const unit = getDistanceUnit();
+      const distance = readNumber(formData, 'logDistance');
+      const elevation = readNumber(formData, 'logElevation');
       const entry = {
+        id: editingId || createLogId(),
         date: formData.get('logDate'),
         type: formData.get('logType'),
-        value: formData.get('logValue') || '',
+        durationMin: readNumber(formData, 'logDuration'),
+        distanceMi: distance === null ? null : Math.round(unitToMiles(distance, unit) * 100) / 100,
+        elevationFt: elevation === null ? null : Math.round(unitToFeet(elevation, unit)),
+        avgHr: readNumber(formData, 'logHeartRate'),
         rpe: formData.get('logRPE') || '',
         notes: formData.get('logNotes') || '',
       };
-      const logs = JSON.parse(localStorage.getItem('ocrLogs') || '[]');
-      logs.push(entry);
-      localStorage.setItem('ocrLogs', JSON.stringify(logs));
+      const logs = loadLogEntries();
+      const index = logs.findIndex((l) => l.id === entry.id);
+      if (index > -1) {
+        logs[index] = entry;
+      } else {
+        logs.push(entry);
+      }
+      saveLogEntries(logs);
       // Reset form and reload logs
-      logForm.reset();
+      stopEdit();
+      loadLogs();
+    });
+  }
+  if (cancelEditBtn) {
+    cancelEditBtn.addEventListener('click', () => {
+      stopEdit();
+      loadLogs();
+    });
+  }
+
+  // Persist the unit preference and redraw distances
+  if (unitSelect) {
+    unitSelect.value = getDistanceUnit();
+    unitSelect.addEventListener('change', () => {
+      savePreferences({ distanceUnit: unitSelect.value });
+      updateUnitLabels();
+      loadLogs();
+    });
+  }
+
+  // GPX/TCX files from a watch pre-fill a new run entry; the athlete adds RPE
+  // and notes, then saves it with the form as usual
+  const activityFile = document.getElementById('activityFile');
+  const activityMessages = document.getElementById('activityMessages');
+  if (activityFile && logForm) {
+    activityFile.addEventListener('change', () => {
+      const file = activityFile.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        const result = parseActivityFile(String(reader.result));
+        activityFile.value = '';
+        if (!result.activity) {
+          showImportMessage(activityMessages, `${file.name} could not be imported:`, [result.error]);
+          return;
+        }
+        const activity = result.activity;
+        const unit = getDistanceUnit();
+        stopEdit();
+        const fields = logForm.elements;
+        fields.namedItem('logDate').value = activity.date;
+        fields.namedItem('logType').value = 'run';
+        fields.namedItem('logDuration').value = activity.durationMin;
+        fields.namedItem('logDistance').value =
+          activity.distanceMi !== null ? Math.round(milesToUnit(activity.distanceMi, unit) * 100) / 100 : '';
+        fields.namedItem('logElevation').value =
+          activity.elevationFt !== null ? Math.round(feetToUnit(activity.elevationFt, unit)) : '';
+        fields.namedItem('logHeartRate').value = activity.avgHr !== null ? activity.avgHr : '';
+        loadLogs();
+        showImportMessage(
+          activityMessages,
+          `Read ${file.name}${activity.name ? ` (${activity.name})` : ''}. Add your RPE and notes below, then press "Add entry" to save the run.`
+        );
+        fields.namedItem('logRPE').focus();
+      };
+      reader.onerror = () => {
+        showImportMessage(activityMessages, `${file.name} could not be read.`, []);
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  // Backup download and restore
+  const exportBackupBtn = document.getElementById('exportBackupBtn');
+  const importBackupForm = document.getElementById('importBackupForm');
+  const backupMessages = document.getElementById('backupMessages');
+
+  // Show the result of an import in a message area, or the reasons it failed
+  // when a list of errors is given
+  function showImportMessage(container, text, errors) {
+    if (!container) return;
+    container.innerHTML = '';
+    const p = document.createElement('p');
+    p.textContent = text;
+    container.className = `backup-messages ${errors ? 'backup-error' : 'backup-success'}`;
+    container.appendChild(p);
+    if (errors && errors.length > 0) {
+      const list = document.createElement('ul');
+      errors.forEach((error) => {
+        const li = document.createElement('li');
+        li.textContent = error;
+        list.appendChild(li);
+      });
+      container.appendChild(list);
+    }
+  }
+
+  if (exportBackupBtn) {
+    exportBackupBtn.addEventListener('click', downloadBackup);
+  }
+  if (importBackupForm) {
+    importBackupForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const file = document.getElementById('backupFile').files[0];
+      if (!file) {
+        showImportMessage(backupMessages, 'Choose a backup file to import.', []);
+        return;
+      }
+      const mode = new FormData(importBackupForm).get('importMode') === 'replace' ? 'replace' : 'merge';
+      const reader = new FileReader();
+      reader.onload = () => {
+        const result = parseBackupBundle(String(reader.result));
+        if (!result.bundle) {
+          showImportMessage(backupMessages, `${file.name} could not be imported:`, result.errors);
+          return;
+        }
+        if (
+          mode === 'replace' &&
+          !window.confirm(`Replace the plan, workouts and settings of ${getActiveProfile().name} with the backup? This cannot be undone.`)
+        ) {
+          return;
+        }
+        const summary = importBackupBundle(result.bundle, mode);
+        let text = `Imported ${summary.added} workout${summary.added === 1 ? '' : 's'}`;
+        if (summary.duplicates > 0) text += `, skipped ${summary.duplicates} duplicate${summary.duplicates === 1 ? '' : 's'}`;
+        if (summary.planImported) text += ', and restored the training plan';
+        else if (result.bundle.plan && mode === 'merge') text += '; kept your current training plan';
+        showImportMessage(backupMessages, `${text}.`);
+        importBackupForm.reset();
+        stopEdit();
+        if (unitSelect) unitSelect.value = getDistanceUnit();
+        updateUnitLabels();
+        loadLogs();
+      };
+      reader.onerror = () => {
+        showImportMessage(backupMessages, `${file.name} could not be read.`, []);
+      };
+      reader.readAsText(file);
+    });
+  }
+
+  // CSV import with a column-mapping step and preview, and CSV export
+  const exportCsvBtn = document.getElementById('exportCsvBtn');
+  const csvImportForm = document.getElementById('csvImportForm');
+  const csvFile = document.getElementById('csvFile');
+  const csvMappingFieldset = document.getElementById('csvMappingFieldset');
+  const csvMapping = document.getElementById('csvMapping');
+  const csvDistanceUnit = document.getElementById('csvDistanceUnit');
+  const csvDateOrder = document.getElementById('csvDateOrder');
+  const csvDurationUnit = document.getElementById('csvDurationUnit');
+  const csvPreview = document.getElementById('csvPreview');
+  const csvImportBtn = document.getElementById('csvImportBtn');
+  const csvMessages = document.getElementById('csvMessages');
+  // Rows of the chosen CSV file, header row first
+  let csvRows = [];
+
+  // Hide the mapping and preview steps until a file is chosen
+  function resetCsvImport() {
+    csvRows = [];
+    if (csvImportForm) csvImportForm.reset();
+    if (csvMappingFieldset) csvMappingFieldset.hidden = true;
+    if (csvPreview) csvPreview.hidden = true;
+    if (csvImportBtn) csvImportBtn.hidden = true;
+  }
+
+  // One select per log field listing the file's columns
+  function renderCsvMapping(headers, mapping) {
+    csvMapping.innerHTML = CSV_FIELDS.map((field) => {
+      const options = headers
+        .map((header, i) => `<option value="${i}">${escapeHtml(header.trim() || `Column ${i + 1}`)}</option>`)
+        .join('');
+      return `<label>${field.label}${field.required ? '' : ' (optional)'}:
+        <select data-field="${field.key}"><option value="-1">— Not in file —</option>${options}</select></label>`;
+    }).join('');
+    csvMapping.querySelectorAll('select').forEach((select) => {
+      select.value = String(mapping[select.dataset.field]);
+    });
+  }
+
+  // Column chosen for each log field, -1 when it is not in the file
+  function readCsvMapping() {
+    const mapping = {};
+    csvMapping.querySelectorAll('select').forEach((select) => {
+      mapping[select.dataset.field] = parseInt(select.value, 10);
+    });
+    return mapping;
+  }
+
+  // Convert every data row with the current mapping; row numbers count the header as row 1
+  function convertCsvRows() {
+    const mapping = readCsvMapping();
+    const options = { distanceUnit: csvDistanceUnit.value, durationUnit: csvDurationUnit.value, dateOrder: csvDateOrder.value };
+    return csvRows.slice(1).map((row, i) => ({ row: i + 2, ...csvRowToLogEntry(row, mapping, options) }));
+  }
+
+  // Preview the converted rows and list every row that can't be imported
+  function renderCsvPreview() {
+    const mapping = readCsvMapping();
+    const missing = CSV_FIELDS.filter((field) => field.required && mapping[field.key] === -1);
+    csvPreview.hidden = false;
+    if (missing.length > 0) {
+      csvPreview.innerHTML = `<p class="backup-error">Choose the column that holds the ${missing.map((f) => f.label.toLowerCase()).join(' and the ')}.</p>`;
+      csvImportBtn.hidden = true;
+      return;
+    }
+    const results = convertCsvRows();
+    const valid = results.filter((result) => result.errors.length === 0);
+    const invalid = results.filter((result) => result.errors.length > 0);
+    const unit = getDistanceUnit();
+    let html = `<p><strong>${valid.length}</strong> of ${results.length} rows ready to import`;
+    if (invalid.length > 0) html += `; ${invalid.length} with errors will be skipped`;
+    html += '.</p>';
+    html += '<table class="plan-table"><thead><tr><th>Row</th><th>Date</th><th>Type</th><th>Duration</th><th>Distance</th><th>Elevation</th><th>Avg HR</th><th>RPE</th><th>Notes</th><th>Status</th></tr></thead><tbody>';
+    results.slice(0, CSV_PREVIEW_ROWS).forEach(({ row, entry, errors }) => {
+      html += `<tr class="${errors.length > 0 ? 'csv-row-error' : ''}">
+        <td>${row}</td>
+        <td>${entry.date || '–'}</td>
+        <td>${entry.type || '–'}</td>
+        <td>${entry.durationMin !== null ? `${entry.durationMin} min` : '–'}</td>
+        <td>${entry.distanceMi !== null ? formatDistance(entry.distanceMi, unit) : '–'}</td>
+        <td>${entry.elevationFt !== null ? formatElevation(entry.elevationFt, unit) : '–'}</td>
+        <td>${entry.avgHr !== null ? `${entry.avgHr} bpm` : '–'}</td>
+        <td>${entry.rpe || '–'}</td>
+        <td>${escapeHtml(entry.notes) || '–'}</td>
+        <td>${errors.length > 0 ? escapeHtml(errors.join('; ')) : 'OK'}</td>
+      </tr>`;
+    });
+    html += '</tbody></table>';
+    if (results.length > CSV_PREVIEW_ROWS) html += `<p>Showing the first ${CSV_PREVIEW_ROWS} rows.</p>`;
+    if (invalid.length > 0) {
+      html += '<h4>Rows with errors</h4><ul class="csv-errors">';
+      invalid.forEach((result) => {
+        html += `<li>Row ${result.row}: ${escapeHtml(result.errors.join('; '))}</li>`;
+      });
+      html += '</ul>';
+    }
+    csvPreview.innerHTML = html;
+    csvImportBtn.hidden = valid.length === 0;
+    csvImportBtn.textContent = `Import ${valid.length} workout${valid.length === 1 ? '' : 's'}`;
+  }
+
+  if (exportCsvBtn) {
+    exportCsvBtn.addEventListener('click', downloadLogsCsv);
+  }
+  if (csvFile) {
+    csvFile.addEventListener('change', () => {
+      const file = csvFile.files[0];
+      if (csvMessages) csvMessages.innerHTML = '';
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        const rows = parseCsv(String(reader.result));
+        if (rows.length < 2) {
+          showImportMessage(csvMessages, `${file.name} has no rows to import below the header row.`, []);
+          return;
+        }
+        csvRows = rows;
+        const guess = guessCsvMapping(rows[0]);
+        renderCsvMapping(rows[0], guess.mapping);
+        csvDistanceUnit.value = guess.distanceUnit || getDistanceUnit();
+        csvDurationUnit.value = guess.durationUnit || 'min';
+        csvMappingFieldset.hidden = false;
+        renderCsvPreview();
+      };
+      reader.onerror = () => {
+        showImportMessage(csvMessages, `${file.name} could not be read.`, []);
+      };
+      reader.readAsText(file);
+    });
+  }
+  if (csvMappingFieldset) {
+    csvMappingFieldset.addEventListener('change', renderCsvPreview);
+  }
+  if (csvImportForm) {
+    csvImportForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (csvRows.length < 2) return;
+      const results = convertCsvRows();
+      const entries = results.filter((result) => result.errors.length === 0).map((result) => result.entry);
+      const skipped = results.length - entries.length;
+      const merged = mergeLogEntries(loadLogEntries(), entries);
+      saveLogEntries(merged.logs);
+      let text = `Imported ${merged.added} workout${merged.added === 1 ? '' : 's'}`;
+      if (merged.duplicates > 0) text += `, skipped ${merged.duplicates} already in your log`;
+      if (skipped > 0) text += `, left out ${skipped} row${skipped === 1 ? '' : 's'} with errors`;
+      resetCsvImport();
+      showImportMessage(csvMessages, `${text}.`);
       loadLogs();
     });
   }
 
   // Initial render
+  updateUnitLabels();
   loadLogs();
 });
\ No newline at end of file
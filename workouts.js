@@ -0,0 +1,363 @@
+/*
+ * workouts.js
+ * Library of run and strength sessions used by the plan generator.
+ * Each entry lists the phases it suits, the equipment it needs and the body
+ * areas it loads, so sessions can be filtered by what the athlete actually has
+ * and by any injuries they report. Entries can also carry the goals they serve
+ * (completion, proficiency, competitive) so goal-relevant sessions are preferred.
+ * Key sessions (the long run, hard runs and obstacle strength) are the ones
+ * worth rescheduling when missed; entries that are key regardless of
+ * intensity are flagged with `key: true`.
+ *
+ * Plan days are structured session objects created from these entries:
+ *   { type, workoutId, title, intensity, targetRpe: [min, max],
+ *     targetDurationMin, phase, description }
+ * where type is run/strength/mobility/rest/race and intensity is rest/easy/moderate/hard.
+ */
+
+const ALL_PHASES = ['Base', 'Build', 'Specific', 'Taper'];
+
+const WORKOUT_LIBRARY = [
+  // Easy runs
+  {
+    id: 'easy-run',
+    title: 'Easy run',
+    kind: 'run',
+    phases: ALL_PHASES,
+    intensity: 'easy',
+    rpe: [3, 4],
+    durationMin: 40,
+    desc: 'Easy run – stay at conversational pace (RPE 3–4).',
+  },
+  {
+    id: 'easy-trail-run',
+    title: 'Easy trail run',
+    kind: 'run',
+    phases: ['Base', 'Build', 'Specific'],
+    requires: ['hills'],
+    stresses: ['ankle'],
+    intensity: 'easy',
+    rpe: [3, 4],
+    durationMin: 45,
+    desc: 'Easy trail run – rolling terrain at conversational pace (RPE 3–4).',
+  },
+  {
+    id: 'long-run',
+    title: 'Long run',
+    kind: 'run',
+    // Placed explicitly by the generator rather than picked for an easy slot
+    placedOnly: true,
+    key: true,
+    phases: ALL_PHASES,
+    intensity: 'easy',
+    rpe: [3, 4],
+    durationMin: 75,
+    desc: 'Long run – steady conversational effort (RPE 3–4), building time on feet.',
+  },
+  // Quality runs
+  {
+    id: 'tempo-run',
+    title: 'Tempo run',
+    kind: 'run',
+    phases: ['Base', 'Build'],
+    intensity: 'hard',
+    rpe: [5, 6],
+    durationMin: 45,
+    desc: 'Tempo run – moderate pace (RPE 5–6).',
+  },
+  {
+    id: 'intervals',
+    title: 'Interval session',
+    kind: 'run',
+    phases: ['Build', 'Specific'],
+    goals: ['competitive'],
+    intensity: 'hard',
+    rpe: [6, 7],
+    durationMin: 50,
+    desc: 'Interval session – short bursts at RPE 6–7 with recovery jogs.',
+  },
+  {
+    id: 'hill-repeats',
+    title: 'Hill repeats',
+    kind: 'run',
+    phases: ['Build', 'Specific'],
+    requires: ['hills'],
+    stresses: ['knee', 'ankle'],
+    goals: ['competitive', 'proficiency'],
+    intensity: 'hard',
+    rpe: [6, 7],
+    durationMin: 45,
+    desc: 'Hill repeats – 6–10 hard climbs at RPE 6–7, walk or jog down to recover.',
+  },
+  {
+    id: 'race-sim',
+    title: 'Race‑specific run',
+    kind: 'run',
+    phases: ['Specific'],
+    goals: ['proficiency', 'competitive'],
+    intensity: 'hard',
+    rpe: [5, 7],
+    durationMin: 60,
+    desc: 'Race‑specific run – include burpees, bear crawls and obstacle drills and maintain RPE 5–7.',
+  },
+  {
+    id: 'sandbag-race-sim',
+    title: 'Race‑specific carry run',
+    kind: 'run',
+    phases: ['Specific'],
+    requires: ['sandbag'],
+    stresses: ['back'],
+    goals: ['proficiency', 'competitive'],
+    intensity: 'hard',
+    rpe: [5, 7],
+    durationMin: 60,
+    desc: 'Race‑specific run – include sandbag/bucket carries between run segments and maintain RPE 5–7.',
+  },
+  {
+    id: 'sharpening-run',
+    title: 'Short sharpening run',
+    kind: 'run',
+    phases: ['Taper'],
+    intensity: 'hard',
+    rpe: [5, 6],
+    durationMin: 30,
+    desc: 'Short sharpening run – brief bursts at RPE 6, mostly easy.',
+  },
+  // Strength sessions
+  {
+    id: 'general-circuit',
+    title: 'General strength circuit',
+    kind: 'strength',
+    phases: ['Base', 'Build'],
+    intensity: 'moderate',
+    rpe: [5, 6],
+    durationMin: 45,
+    desc: 'General strength circuit – squats, push‑ups, lunges, core exercises.',
+  },
+  {
+    id: 'gym-grip-strength',
+    title: 'Full‑body strength & grip',
+    kind: 'strength',
+    phases: ['Build', 'Specific'],
+    requires: ['gym'],
+    stresses: ['back'],
+    goals: ['proficiency', 'competitive'],
+    key: true,
+    intensity: 'moderate',
+    rpe: [6, 7],
+    durationMin: 50,
+    desc: 'Full‑body strength with added grip work – deadlifts, pull‑ups, presses.',
+  },
+  {
+    id: 'bodyweight-grip',
+    title: 'Bodyweight strength & grip',
+    kind: 'strength',
+    phases: ['Build', 'Specific'],
+    stresses: ['shoulder'],
+    goals: ['proficiency'],
+    key: true,
+    intensity: 'moderate',
+    rpe: [5, 6],
+    durationMin: 40,
+    desc: 'Full‑body strength with grip work – split squats, push‑ups, towel hangs, dead bugs.',
+  },
+  {
+    id: 'rope-climbs',
+    title: 'Rope & rig practice',
+    kind: 'strength',
+    phases: ['Build', 'Specific'],
+    requires: ['rope'],
+    stresses: ['shoulder'],
+    goals: ['proficiency'],
+    key: true,
+    intensity: 'moderate',
+    rpe: [6, 7],
+    durationMin: 40,
+    desc: 'Rope & rig practice – rope climbs with a J‑hook, rig traverses, hanging holds.',
+  },
+  {
+    id: 'wall-drills',
+    title: 'Wall technique',
+    kind: 'strength',
+    phases: ['Specific'],
+    requires: ['wall'],
+    stresses: ['shoulder'],
+    goals: ['proficiency'],
+    key: true,
+    intensity: 'moderate',
+    rpe: [5, 6],
+    durationMin: 40,
+    desc: 'Wall technique – wall climbs, box step‑ups and explosive pulls to the top.',
+  },
+  {
+    id: 'sandbag-carries',
+    title: 'Obstacle strength & carries',
+    kind: 'strength',
+    phases: ['Build', 'Specific'],
+    requires: ['sandbag'],
+    stresses: ['back'],
+    goals: ['proficiency', 'competitive'],
+    key: true,
+    intensity: 'moderate',
+    rpe: [6, 7],
+    durationMin: 45,
+    desc: 'Obstacle strength & carries – sandbag/bucket carries, farmer walks, loaded lunges.',
+  },
+  {
+    id: 'obstacle-circuit',
+    title: 'Obstacle circuit',
+    kind: 'strength',
+    phases: ['Specific'],
+    goals: ['proficiency'],
+    key: true,
+    intensity: 'moderate',
+    rpe: [6, 7],
+    durationMin: 40,
+    desc: 'Obstacle circuit – burpees, bear crawls, dead hangs and farmer walks with household loads.',
+  },
+  {
+    id: 'taper-strength',
+    title: 'Light strength & mobility',
+    kind: 'strength',
+    phases: ['Taper'],
+    intensity: 'easy',
+    rpe: [3, 4],
+    durationMin: 30,
+    desc: 'Light strength & mobility – keep muscles activated but prioritise recovery.',
+  },
+  // Races on the season calendar
+  {
+    id: 'race',
+    title: 'Race day',
+    kind: 'race',
+    placedOnly: true,
+    phases: ALL_PHASES,
+    intensity: 'hard',
+    rpe: [8, 10],
+    durationMin: 0,
+    desc: 'Race day.',
+  },
+  // Recovery
+  {
+    id: 'mobility',
+    kind: 'mobility',
+    title: 'Active recovery/mobility',
+    phases: ALL_PHASES,
+    intensity: 'easy',
+    rpe: [1, 2],
+    durationMin: 20,
+    desc: 'Active recovery/mobility – gentle stretching or yoga.',
+  },
+  {
+    id: 'rest',
+    kind: 'rest',
+    title: 'Rest day',
+    phases: ALL_PHASES,
+    intensity: 'rest',
+    rpe: [0, 0],
+    durationMin: 0,
+    desc: 'Rest day.',
+  },
+];
+
+// Keywords in the free-text injuries field, grouped by the body area they affect
+const INJURY_AREAS = {
+  knee: ['knee', 'patell', 'it band', 'itb', 'menisc', 'acl'],
+  ankle: ['ankle', 'achilles', 'calf', 'shin', 'plantar', 'foot'],
+  shoulder: ['shoulder', 'rotator', 'elbow', 'wrist'],
+  back: ['back', 'spine', 'disc', 'lumbar'],
+};
+
+// Determine which body areas the athlete's injury notes mention
+function parseInjuryAreas(injuries) {
+  const text = String(injuries || '').toLowerCase();
+  if (!text.trim()) return [];
+  return Object.keys(INJURY_AREAS).filter((area) =>
+    INJURY_AREAS[area].some((keyword) => text.includes(keyword))
+  );
+}
+
+// Classify strength training age (months) into a progression level
+function strengthLevel(strengthAge) {
+  const months = parseInt(strengthAge, 10) || 0;
+  if (months < 6) return 'novice';
+  if (months < 24) return 'developing';
+  return 'experienced';
+}
+
+// Sets, reps and load for a strength session, scaled by level and phase.
+// Taper and recovery (deload) weeks drop a set.
+function strengthPrescription(level, phase, deload) {
+  const sets = { novice: 2, developing: 3, experienced: 4 }[level];
+  const reps = { Base: '10–12', Build: '6–8', Specific: '8–10', Taper: '5–6' }[phase];
+  let load;
+  if (level === 'novice') {
+    load = 'bodyweight or light load, focus on technique';
+  } else if (phase === 'Build') {
+    load = level === 'experienced' ? 'heavy load (RPE 7–8)' : 'moderate‑heavy load (RPE 6–7)';
+  } else {
+    load = 'moderate load (RPE 5–6)';
+  }
+  const weekSets = phase === 'Taper' || deload ? Math.max(1, sets - 1) : sets;
+  return `${weekSets} set${weekSets === 1 ? '' : 's'} × ${reps} reps, ${load}.`;
+}
+
+// Library entries that fit the phase, the athlete's equipment and their injuries
+function filterWorkouts(kind, phase, profile, hard) {
+  return WORKOUT_LIBRARY.filter((w) => {
+    if (w.kind !== kind || w.placedOnly || !w.phases.includes(phase)) return false;
+    if (kind === 'run' && (w.intensity === 'hard') !== Boolean(hard)) return false;
+    if ((w.requires || []).some((item) => !profile.equipment.includes(item))) return false;
+    if ((w.stresses || []).some((area) => profile.injuryAreas.includes(area))) return false;
+    return true;
+  });
+}
+
+// Pick a workout for a slot, preferring sessions that serve the athlete's goals.
+// Goal-relevant sessions appear twice in the rotation, which varies from week to week.
+function pickWorkout(kind, phase, profile, hard, rotation) {
+  let candidates = filterWorkouts(kind, phase, profile, hard);
+  if (candidates.length === 0) {
+    // Fall back to the unrestricted sessions so every slot is filled
+    candidates = WORKOUT_LIBRARY.filter(
+      (w) =>
+        w.kind === kind &&
+        !w.placedOnly &&
+        w.phases.includes(phase) &&
+        (kind !== 'run' || (w.intensity === 'hard') === Boolean(hard)) &&
+        !(w.requires || []).length &&
+        !(w.stresses || []).length
+    );
+  }
+  const preferred = candidates.filter((w) => (w.goals || []).some((g) => profile.goals.includes(g)));
+  const pool = preferred.concat(candidates);
+  return pool[rotation % pool.length];
+}
+
+// Look up a library entry by id
+function getWorkout(id) {
+  return WORKOUT_LIBRARY.find((w) => w.id === id) || null;
+}
+
+// Whether a plan session is a key session: a hard run or a flagged library entry
+function isKeySession(session) {
+  if (!session) return false;
+  if (session.type === 'run' && session.intensity === 'hard') return true;
+  const workout = getWorkout(session.workoutId);
+  return Boolean(workout && workout.key);
+}
+
+// Create a structured plan session from a library entry for the given phase.
+// Extra description text (e.g. a strength prescription) is appended.
+function createSession(workout, phase, extraDesc) {
+  return {
+    type: workout.kind,
+    workoutId: workout.id,
+    title: workout.title,
+    intensity: workout.intensity,
+    targetRpe: workout.rpe.slice(),
+    targetDurationMin: workout.durationMin,
+    phase,
+    description: extraDesc ? `${workout.desc} ${extraDesc}` : workout.desc,
+  };
+}